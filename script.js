@@ -10,53 +10,289 @@
 class DataStore {
     constructor() {
         this.dbName = 'StudyFlowDB';
-        this.dbVersion = 1;
         this.db = null;
+
+        // Ordered schema migrations. Opening an older database runs every step
+        // newer than its version, in order, inside one upgrade transaction.
+        // To change the schema, append a step; dbVersion follows the last one.
+        this.migrations = [
+            {
+                version: 1,
+                description: 'Creating the database',
+                migrate: (db) => {
+                    db.createObjectStore('subjects', { keyPath: 'id' })
+                        .createIndex('name', 'name', { unique: false });
+                    db.createObjectStore('tasks', { keyPath: 'id' })
+                        .createIndex('subjectId', 'subjectId', { unique: false });
+                    const sessionStore = db.createObjectStore('sessions', { keyPath: 'id' });
+                    sessionStore.createIndex('subjectId', 'subjectId', { unique: false });
+                    sessionStore.createIndex('date', 'date', { unique: false });
+                    // Settings store (for streak, timer, preferences, etc.)
+                    db.createObjectStore('settings', { keyPath: 'key' });
+                }
+            },
+            {
+                version: 2,
+                description: 'Converting session times to timestamps',
+                migrate: (db, transaction, progress) =>
+                    this.updateRecords(transaction, 'sessions', session => this.migrateSession(session), progress)
+            },
+            {
+                version: 3,
+                description: 'Moving your goal into the goals list',
+                migrate: (db, transaction) => {
+                    // The single 'goal' setting becomes the primary entry in the goals store
+                    const goalStore = db.createObjectStore('goals', { keyPath: 'id' });
+                    const settingsStore = transaction.objectStore('settings');
+                    return new Promise((resolve, reject) => {
+                        const request = settingsStore.get('goal');
+                        request.onsuccess = () => {
+                            if (request.result) {
+                                goalStore.put(this.migrateGoal(request.result));
+                                settingsStore.delete('goal');
+                            }
+                            resolve();
+                        };
+                        request.onerror = () => reject(request.error);
+                    });
+                }
+            },
+            {
+                version: 4,
+                description: 'Adding topics',
+                migrate: (db) => {
+                    db.createObjectStore('topics', { keyPath: 'id' })
+                        .createIndex('subjectId', 'subjectId', { unique: false });
+                }
+            },
+            {
+                version: 5,
+                description: 'Adding the trash',
+                migrate: (db) => {
+                    // Deleted subjects, tasks and sessions, kept for restore
+                    db.createObjectStore('trash', { keyPath: 'id' });
+                }
+            }
+        ];
+        this.dbVersion = this.migrations[this.migrations.length - 1].version;
+
+        // Stores included in backups, and the backup file format version
+        this.stores = ['subjects', 'topics', 'tasks', 'sessions', 'goals', 'settings'];
+        this.backupVersion = 4;
+
+        // Settings that are never exported: device-specific state and the
+        // automatic backup taken before the last upgrade
+        this.transientSettings = ['timer', 'preMigrationBackup'];
+
+        // Fields each record of a backup needs before it can be imported
+        const text = value => typeof value === 'string';
+        const number = value => Number.isFinite(value);
+        const date = value => text(value) && /^\d{4}-\d{2}-\d{2}$/.test(value) && !isNaN(Date.parse(value));
+        const time = value => text(value) && /^\d{2}:\d{2}$/.test(value);
+        this.backupFields = {
+            subjects: { name: text, color: text },
+            topics: { subjectId: text, name: text },
+            tasks: { subjectId: text, description: text },
+            sessions: {
+                subjectId: text,
+                date,
+                duration: number,
+                // Sessions from before timestamps have HH:MM times instead
+                startedAt: (value, session) => (number(value) && number(session.endedAt)) ||
+                    (time(session.startTime) && time(session.endTime))
+            },
+            goals: { name: text, targetDate: date },
+            settings: {}
+        };
     }
 
     /**
-     * Initialize IndexedDB
+     * Initialize IndexedDB, upgrading an older database first.
+     * onProgress receives { step, total, description, done, count, blocked }.
+     * onClosed is called after the database is closed for another tab's upgrade.
      */
-    async init() {
+    async init(onProgress = () => {}, onClosed = () => {}) {
+        // Keep a copy of the data as it was before the upgrade
+        const storedVersion = await this.getStoredVersion();
+        const backup = storedVersion > 0 && storedVersion < this.dbVersion ?
+            await this.readBackupAt(storedVersion) :
+            null;
+
         return new Promise((resolve, reject) => {
             const request = indexedDB.open(this.dbName, this.dbVersion);
 
             request.onerror = () => reject(request.error);
+            request.onblocked = () => onProgress({ blocked: true });
             request.onsuccess = () => {
                 this.db = request.result;
+                // A newer version in another tab is waiting to upgrade: let it
+                this.db.onversionchange = () => {
+                    this.db.close();
+                    onClosed();
+                };
                 resolve();
             };
 
             request.onupgradeneeded = (event) => {
-                const db = event.target.result;
-
-                // Subjects store
-                if (!db.objectStoreNames.contains('subjects')) {
-                    const subjectStore = db.createObjectStore('subjects', { keyPath: 'id' });
-                    subjectStore.createIndex('name', 'name', { unique: false });
+                const db = request.result;
+                const transaction = request.transaction;
+                const steps = this.migrations.filter(m => m.version > event.oldVersion);
+
+                if (backup) {
+                    transaction.objectStore('settings').put({
+                        key: 'preMigrationBackup',
+                        fromVersion: event.oldVersion,
+                        createdAt: Date.now(),
+                        backup
+                    });
                 }
 
-                // Tasks store
-                if (!db.objectStoreNames.contains('tasks')) {
-                    const taskStore = db.createObjectStore('tasks', { keyPath: 'id' });
-                    taskStore.createIndex('subjectId', 'subjectId', { unique: false });
-                }
+                // Steps run one after another; any failure aborts the whole upgrade
+                (async () => {
+                    for (const [index, migration] of steps.entries()) {
+                        const status = { step: index + 1, total: steps.length, description: migration.description };
+                        onProgress(status);
+                        await migration.migrate(db, transaction, (done, count) => onProgress({ ...status, done, count }));
+                    }
+                })().catch(error => {
+                    console.error('Database upgrade failed:', error);
+                    transaction.abort();
+                });
+            };
+        });
+    }
 
-                // Sessions store
-                if (!db.objectStoreNames.contains('sessions')) {
-                    const sessionStore = db.createObjectStore('sessions', { keyPath: 'id' });
-                    sessionStore.createIndex('subjectId', 'subjectId', { unique: false });
-                    sessionStore.createIndex('date', 'date', { unique: false });
-                }
+    /**
+     * Version of the existing database, or 0 if there is none yet
+     */
+    getStoredVersion() {
+        return new Promise((resolve) => {
+            const request = indexedDB.open(this.dbName);
+            // No database yet: abort instead of creating an empty one
+            request.onupgradeneeded = () => request.transaction.abort();
+            request.onsuccess = () => {
+                const version = request.result.version;
+                request.result.close();
+                resolve(version);
+            };
+            request.onerror = () => resolve(0);
+        });
+    }
 
-                // Settings store (for goal, streak, etc.)
-                if (!db.objectStoreNames.contains('settings')) {
-                    db.createObjectStore('settings', { keyPath: 'key' });
-                }
+    /**
+     * Backup of the database as it is at an older version
+     */
+    async readBackupAt(version) {
+        this.db = await new Promise((resolve, reject) => {
+            const request = indexedDB.open(this.dbName, version);
+            request.onsuccess = () => resolve(request.result);
+            request.onerror = () => reject(request.error);
+        });
+
+        try {
+            return await this.exportBackup();
+        } finally {
+            this.db.close();
+            this.db = null;
+        }
+    }
+
+    /**
+     * Rewrite every record of a store during an upgrade, reporting progress
+     */
+    updateRecords(transaction, storeName, transform, progress) {
+        const store = transaction.objectStore(storeName);
+
+        return new Promise((resolve, reject) => {
+            const countRequest = store.count();
+            countRequest.onerror = () => reject(countRequest.error);
+            countRequest.onsuccess = () => {
+                const count = countRequest.result;
+                let done = 0;
+
+                const request = store.openCursor();
+                request.onerror = () => reject(request.error);
+                request.onsuccess = () => {
+                    const cursor = request.result;
+                    if (!cursor) {
+                        resolve();
+                        return;
+                    }
+                    cursor.update(transform(cursor.value));
+                    done++;
+                    if (done % 200 === 0 || done === count) {
+                        progress(done, count);
+                    }
+                    cursor.continue();
+                };
             };
         });
     }
 
+    /**
+     * Convert a v1 session ({date, startTime, endTime}) to the timestamp model.
+     * v1 timer sessions that crossed midnight were stamped with their end date,
+     * so an end time before the start time means the session began the day before.
+     */
+    migrateSession(session) {
+        if (typeof session.startedAt === 'number') return session;
+
+        const { startTime, endTime, ...rest } = session;
+        const start = new Date(`${session.date}T${startTime}`);
+        const end = new Date(`${session.date}T${endTime}`);
+        if (end <= start) {
+            start.setDate(start.getDate() - 1);
+        }
+
+        const year = start.getFullYear();
+        const month = String(start.getMonth() + 1).padStart(2, '0');
+        const day = String(start.getDate()).padStart(2, '0');
+
+        return {
+            ...rest,
+            date: `${year}-${month}-${day}`,
+            startedAt: start.getTime(),
+            endedAt: end.getTime()
+        };
+    }
+
+    /**
+     * Convert the v2 'goal' setting into a goal record
+     */
+    migrateGoal(legacyGoal) {
+        return {
+            id: 'legacy-goal',
+            name: legacyGoal.name,
+            startDate: legacyGoal.startDate,
+            targetDate: legacyGoal.targetDate,
+            subjectIds: [],
+            primary: true,
+            createdAt: Date.now()
+        };
+    }
+
+    /**
+     * Bring the records of an older backup up to the current data model
+     */
+    upgradeBackupData(backup) {
+        const data = {};
+        this.stores.forEach(storeName => {
+            data[storeName] = backup.data[storeName] || [];
+        });
+
+        data.sessions = data.sessions.map(session => this.migrateSession(session));
+
+        const legacyGoal = data.settings.find(s => s.key === 'goal');
+        if (legacyGoal) {
+            data.settings = data.settings.filter(s => s.key !== 'goal');
+            if (data.goals.length === 0) {
+                data.goals = [this.migrateGoal(legacyGoal)];
+            }
+        }
+
+        return data;
+    }
+
     /**
      * Generic method to add/update data
      */
@@ -85,6 +321,31 @@ class DataStore {
         });
     }
 
+    /**
+     * Read and rewrite one record in a single transaction, so another tab
+     * cannot write in between. transform(record) returns the new record, or
+     * undefined to keep it. Resolves with the record as stored afterwards.
+     */
+    async update(storeName, key, transform) {
+        return new Promise((resolve, reject) => {
+            const transaction = this.db.transaction([storeName], 'readwrite');
+            const store = transaction.objectStore(storeName);
+            const request = store.get(key);
+            let result;
+
+            request.onsuccess = () => {
+                const updated = transform(request.result);
+                result = updated === undefined ? request.result : updated;
+                if (updated !== undefined) {
+                    store.put(updated);
+                }
+            };
+
+            transaction.oncomplete = () => resolve(result);
+            transaction.onerror = () => reject(transaction.error);
+        });
+    }
+
     /**
      * Generic method to get all data from a store
      */
@@ -127,6 +388,208 @@ class DataStore {
             request.onerror = () => reject(request.error);
         });
     }
+
+    /**
+     * Run writes across several stores in one transaction, so either all of
+     * them are stored or none are (even if the tab closes midway).
+     * Operations: { type: 'put', store, value }, { type: 'delete', store, key }
+     * or { type: 'clear', store }, applied in order.
+     */
+    async batch(operations) {
+        if (operations.length === 0) return;
+        const storeNames = [...new Set(operations.map(op => op.store))];
+
+        return new Promise((resolve, reject) => {
+            const transaction = this.db.transaction(storeNames, 'readwrite');
+            transaction.oncomplete = () => resolve();
+            transaction.onerror = () => reject(transaction.error);
+            transaction.onabort = () => reject(transaction.error);
+
+            try {
+                operations.forEach(op => {
+                    const store = transaction.objectStore(op.store);
+                    if (op.type === 'put') {
+                        store.put(op.value);
+                    } else if (op.type === 'delete') {
+                        store.delete(op.key);
+                    } else if (op.type === 'clear') {
+                        store.clear();
+                    } else {
+                        throw new Error(`Unknown batch operation: ${op.type}`);
+                    }
+                });
+            } catch (error) {
+                // Invalid records abort the whole batch
+                transaction.abort();
+                reject(error);
+            }
+        });
+    }
+
+    /**
+     * Write one side ('before' or 'after') of a list of { store, before, after }
+     * record changes in a single transaction; a null side deletes the record.
+     * Changes are applied in order for 'after' and in reverse for 'before'.
+     */
+    async applyChanges(changes, side = 'after') {
+        const ordered = side === 'after' ? changes : [...changes].reverse();
+        return this.batch(ordered.map(change => {
+            const record = change[side];
+            if (record) {
+                return { type: 'put', store: change.store, value: record };
+            }
+            const other = side === 'after' ? change.before : change.after;
+            return { type: 'delete', store: change.store, key: other[this.getKeyPath(change.store)] };
+        }));
+    }
+
+    /**
+     * Get the key path ('id' or 'key') of a store
+     */
+    getKeyPath(storeName) {
+        return this.db.transaction([storeName], 'readonly').objectStore(storeName).keyPath;
+    }
+
+    /**
+     * Build a versioned backup of every store
+     */
+    async exportBackup() {
+        const data = {};
+        for (const storeName of this.stores) {
+            // Older databases (read before an upgrade) may not have every store yet
+            data[storeName] = this.db.objectStoreNames.contains(storeName) ? await this.getAll(storeName) : [];
+        }
+        data.settings = data.settings.filter(s => !this.transientSettings.includes(s.key));
+
+        return {
+            app: 'StudyFlow',
+            backupVersion: this.backupVersion,
+            dbVersion: this.db.version,
+            exportedAt: new Date().toISOString(),
+            data
+        };
+    }
+
+    /**
+     * Validate a parsed backup file, returning a list of problems
+     */
+    validateBackup(backup) {
+        const errors = [];
+
+        if (!backup || typeof backup !== 'object' || backup.app !== 'StudyFlow') {
+            return ['This is not a StudyFlow backup file'];
+        }
+        if (!Number.isInteger(backup.backupVersion) || backup.backupVersion > this.backupVersion) {
+            return [`Unsupported backup version: ${backup.backupVersion}`];
+        }
+        if (!backup.data || typeof backup.data !== 'object') {
+            return ['Backup contains no data'];
+        }
+
+        this.stores.forEach(storeName => {
+            const records = backup.data[storeName];
+            if (records === undefined) return;
+            if (!Array.isArray(records)) {
+                errors.push(`"${storeName}" must be a list of records`);
+                return;
+            }
+
+            const keyPath = this.getKeyPath(storeName);
+            const invalid = records.filter(r => !r || typeof r !== 'object' || typeof r[keyPath] !== 'string');
+            if (invalid.length > 0) {
+                errors.push(`${invalid.length} record(s) in "${storeName}" have no "${keyPath}"`);
+                return;
+            }
+
+            Object.entries(this.backupFields[storeName]).forEach(([field, isValid]) => {
+                const count = records.filter(record => !isValid(record[field], record)).length;
+                if (count > 0) {
+                    errors.push(`${count} record(s) in "${storeName}" have a missing or invalid "${field}"`);
+                }
+            });
+        });
+        if (errors.length > 0) return errors;
+
+        // Topics, tasks and sessions can't be shown without their subject
+        const subjectIds = new Set((backup.data.subjects || []).map(subject => subject.id));
+        ['topics', 'tasks', 'sessions'].forEach(storeName => {
+            const count = (backup.data[storeName] || []).filter(record => !subjectIds.has(record.subjectId)).length;
+            if (count > 0) {
+                errors.push(`${count} record(s) in "${storeName}" belong to a subject that is not in the backup`);
+            }
+        });
+
+        return errors;
+    }
+
+    /**
+     * Compare a backup with the current database.
+     * Returns per-store counts and the ids that exist in both with different content.
+     */
+    async analyzeBackup(backup) {
+        const report = {};
+        const data = this.upgradeBackupData(backup);
+
+        for (const storeName of this.stores) {
+            const records = data[storeName];
+            const keyPath = this.getKeyPath(storeName);
+            const existing = new Map((await this.getAll(storeName)).map(r => [r[keyPath], r]));
+
+            const conflicts = [];
+            let added = 0;
+            records.forEach(record => {
+                const current = existing.get(record[keyPath]);
+                if (!current) {
+                    added++;
+                } else if (JSON.stringify(current) !== JSON.stringify(record)) {
+                    conflicts.push(record[keyPath]);
+                }
+            });
+
+            report[storeName] = { total: records.length, added, conflicts };
+        }
+
+        return report;
+    }
+
+    /**
+     * Write a validated backup into the database.
+     * mode 'replace' clears every store first; mode 'merge' keeps existing
+     * records and only overwrites conflicting ids when overwrite is set.
+     */
+    async importBackup(backup, { mode = 'merge', overwrite = false } = {}) {
+        const data = this.upgradeBackupData(backup);
+        const operations = [];
+
+        for (const storeName of this.stores) {
+            let records = data[storeName];
+
+            // Device-local settings are kept as they are on this device
+            const isTransient = record => storeName === 'settings' && this.transientSettings.includes(record.key);
+            records = records.filter(record => !isTransient(record));
+
+            if (mode === 'replace' && storeName === 'settings') {
+                (await this.getAll(storeName))
+                    .filter(record => !isTransient(record))
+                    .forEach(record => operations.push({ type: 'delete', store: storeName, key: record.key }));
+            } else if (mode === 'replace') {
+                operations.push({ type: 'clear', store: storeName });
+            } else if (!overwrite) {
+                const keyPath = this.getKeyPath(storeName);
+                const existingKeys = new Set((await this.getAll(storeName)).map(r => r[keyPath]));
+                records = records.filter(r => !existingKeys.has(r[keyPath]));
+            }
+            records.forEach(record => operations.push({ type: 'put', store: storeName, value: record }));
+        }
+
+        // Trashed items belong to the data being replaced
+        if (mode === 'replace') {
+            operations.push({ type: 'clear', store: 'trash' });
+        }
+
+        // One transaction, so a failed import leaves the database untouched
+        await this.batch(operations);
+    }
 }
 
 // =============================================================================
@@ -136,30 +599,179 @@ class DataStore {
 class AppState {
     constructor() {
         this.subjects = [];
+        this.topics = [];
         this.tasks = [];
         this.sessions = [];
-        this.goal = null;
+        this.goals = [];
+        this.trash = [];
+        this.editingGoalId = null;
+        this.dailyTargetMinutes = 0;
+        this.dayStartHour = 0;          // Study done before this hour counts for the previous day
         this.currentView = 'dashboard';
         this.editingSubjectId = null;
         this.editingTaskId = null;
+        this.editingTopicId = null;
+        this.statsSubjectId = null;
+        this.historySubjectIds = [];    // Subjects shown in History (empty = all)
         this.editingSessionId = null;
+        this.reviewSessionId = null;
         this.currentSubjectDetail = null;
-        
+        this.taskAgendaTab = 'today';
+
+        // Days after completing a task when it is due for revision
+        this.revisionIntervals = [1, 3, 7, 21, 45];
+
+        // Tags suggested for sessions before the user has any of their own
+        this.defaultTags = ['lecture', 'problem solving', 'revision', 'mock test'];
+        this.pendingImport = null;
+        this.pendingCsvImport = null;
+
+        // Undo/redo stacks of recorded edits, and how long deleted items stay in the trash
+        this.editHistory = { undo: [], redo: [], limit: 50 };
+        this.trashRetentionDays = 30;
+
+        // Views subscribe to change events instead of reloading every store
+        this.listeners = [];
+
+        // Day segments per session id, all of them in one list, and totals built
+        // from them (null until first needed)
+        this.segmentCache = new Map();
+        this.allSegments = null;
+        this.aggregates = null;
+
         // Timer state
         this.timerState = {
             subjectId: null,
+            taskId: null,
             startTime: null,
             elapsedSeconds: 0,
             isRunning: false,
-            intervalId: null
+            intervalId: null,
+            lastActiveAt: null,
+            mode: 'stopwatch',      // 'stopwatch' | 'countdown' | 'pomodoro'
+            phase: 'focus',         // 'focus' | 'shortBreak' | 'longBreak'
+            phaseOffset: 0,         // Seconds of the phase already saved as sessions
+            completedFocus: 0       // Pomodoro focus blocks finished so far
+        };
+
+        // Timer mode preferences (saved in settings as 'timerConfig')
+        this.timerConfig = {
+            mode: 'stopwatch',
+            countdownMinutes: 60,
+            focusMinutes: 25,
+            shortBreakMinutes: 5,
+            longBreakMinutes: 15,
+            cycles: 4,
+            completeTaskOnStop: false
         };
 
         // Calendar state
         this.calendarDate = new Date();
         this.selectedDate = null;
+    }
+
+    /**
+     * Change events. Listeners get the set of store names that changed.
+     * Returns a function that unsubscribes the listener.
+     */
+    subscribe(listener) {
+        this.listeners.push(listener);
+        return () => {
+            this.listeners = this.listeners.filter(l => l !== listener);
+        };
+    }
+
+    notify(storeNames) {
+        const changed = new Set(storeNames);
+        this.listeners.forEach(listener => listener(changed));
+    }
+
+    /**
+     * Replace the contents of every store (startup and backup import)
+     */
+    reset({ subjects, topics, tasks, sessions, goals, trash, settings }) {
+        Object.assign(this, { subjects, topics, tasks, sessions, goals, trash });
+        this.dailyTargetMinutes = 0;
+        this.dayStartHour = 0;
+        settings.forEach(record => this.applySetting(record.key, record));
+
+        // Recorded edits refer to records that may no longer exist
+        this.editHistory.undo = [];
+        this.editHistory.redo = [];
+
+        this.segmentCache.clear();
+        this.allSegments = null;
+        this.aggregates = null;
+        this.notify(['subjects', 'topics', 'tasks', 'sessions', 'goals', 'trash', 'settings']);
+    }
+
+    /**
+     * Apply saved { store, before, after } changes to the in-memory stores,
+     * the same way DataStore.applyChanges writes them
+     */
+    applyChanges(changes, side = 'after') {
+        const ordered = side === 'after' ? changes : [...changes].reverse();
+
+        ordered.forEach(change => {
+            const record = change[side];
+            const other = side === 'after' ? change.before : change.after;
+
+            if (change.store === 'settings') {
+                this.applySetting((record || other).key, record);
+                return;
+            }
+
+            const list = this[change.store];
+            const id = (record || other).id;
+            const index = list.findIndex(r => r.id === id);
+
+            // Move the session's share of the totals from the old copy to the new one
+            if (change.store === 'sessions' && this.aggregates) {
+                if (index >= 0) this.updateAggregates(list[index], -1);
+                if (record) this.updateAggregates(record, 1);
+            }
+
+            if (record && index >= 0) {
+                list[index] = record;
+            } else if (record) {
+                list.push(record);
+            } else if (index >= 0) {
+                list.splice(index, 1);
+            }
+
+            if (change.store === 'sessions') {
+                if (!record) this.segmentCache.delete(id);
+                this.allSegments = null;
+            }
+        });
 
-        // Stats period
-        this.statsPeriod = 'week';
+        if (ordered.length > 0) {
+            this.notify(ordered.map(change => change.store));
+        }
+    }
+
+    /**
+     * Settings records that live on the state (a null record restores the default)
+     */
+    applySetting(key, record) {
+        switch (key) {
+            case 'dailyTarget':
+                this.dailyTargetMinutes = record ? record.minutes : 0;
+                break;
+            case 'dayStart':
+                this.dayStartHour = record ? record.hour : 0;
+                // Every session may now fall on a different study day
+                this.segmentCache.clear();
+                this.allSegments = null;
+                this.aggregates = null;
+                break;
+            case 'timerConfig':
+                if (record) {
+                    const { key: _key, ...config } = record;
+                    Object.assign(this.timerConfig, config);
+                }
+                break;
+        }
     }
 
     /**
@@ -177,544 +789,2469 @@ class AppState {
     }
 
     /**
-     * Get tasks for a subject
+     * Get topics of a subject in the order they were added
      */
-    getTasksForSubject(subjectId) {
-        return this.tasks.filter(t => t.subjectId === subjectId);
+    getTopicsForSubject(subjectId) {
+        return this.topics
+            .filter(t => t.subjectId === subjectId)
+            .sort((a, b) => a.createdAt - b.createdAt);
+    }
+
+    getTopic(topicId) {
+        return this.topics.find(t => t.id === topicId);
     }
 
     /**
-     * Get sessions for a subject
+     * Record from the in-memory copy of a store
      */
-    getSessionsForSubject(subjectId) {
-        return this.sessions.filter(s => s.subjectId === subjectId);
+    findRecord(storeName, id) {
+        return this[storeName].find(record => record.id === id);
     }
 
     /**
-     * Get sessions for a date
+     * Changes that move records into the trash as a single restorable entry.
+     * records maps store names to the records being deleted.
      */
-    getSessionsForDate(dateString) {
-        return this.sessions.filter(s => s.date === dateString);
+    buildTrashChanges(type, name, records) {
+        const entry = { id: this.generateId(), type, name, deletedAt: Date.now(), records };
+        const changes = [];
+        Object.entries(records).forEach(([storeName, list]) => {
+            list.forEach(record => changes.push({ store: storeName, before: record, after: null }));
+        });
+        changes.push({ store: 'trash', before: null, after: entry });
+        return changes;
     }
 
     /**
-     * Calculate total time for subject
+     * Find records pointing at subjects, topics or tasks that no longer exist
+     * (e.g. left behind by an interrupted delete) and the changes that repair
+     * them. Returns { changes, report } with a line per kind of repair.
      */
-    getTotalTimeForSubject(subjectId) {
-        const sessions = this.getSessionsForSubject(subjectId);
-        return sessions.reduce((total, session) => total + session.duration, 0);
+    getIntegrityRepairs() {
+        const trashed = (storeName) => this.trash.flatMap(entry => entry.records[storeName] || []);
+        const changes = [];
+        const report = [];
+
+        // Children of a missing subject are kept under a recreated subject with the same id
+        const subjectIds = new Set(this.subjects.map(s => s.id));
+        const missingSubjectIds = [...new Set([...this.topics, ...this.tasks, ...this.sessions]
+            .map(record => record.subjectId)
+            .filter(id => !subjectIds.has(id)))];
+        missingSubjectIds.forEach(id => {
+            const original = trashed('subjects').find(s => s.id === id);
+            changes.push({
+                store: 'subjects',
+                before: null,
+                after: {
+                    id,
+                    name: original ? `${original.name} (recovered)` : 'Recovered subject',
+                    color: original ? original.color : '#94a3b8',
+                    dailyTargetMinutes: 0,
+                    weeklyTargetMinutes: 0,
+                    createdAt: Date.now()
+                }
+            });
+        });
+        if (missingSubjectIds.length > 0) {
+            report.push(`${missingSubjectIds.length} missing subject(s) recreated to keep their topics, tasks and sessions`);
+        }
+
+        // Links to topics and tasks that are gone (and not in the trash) are dropped
+        const topicIds = new Set([...this.topics, ...trashed('topics')].map(t => t.id));
+        const taskIds = new Set([...this.tasks, ...trashed('tasks')].map(t => t.id));
+        let unlinked = 0;
+        ['tasks', 'sessions'].forEach(storeName => this[storeName].forEach(record => {
+            const repaired = { ...record };
+            if (record.topicId && !topicIds.has(record.topicId)) repaired.topicId = null;
+            if (record.taskId && !taskIds.has(record.taskId)) repaired.taskId = null;
+            if (repaired.topicId !== record.topicId || repaired.taskId !== record.taskId) {
+                changes.push({ store: storeName, before: record, after: repaired });
+                unlinked++;
+            }
+        }));
+        if (unlinked > 0) {
+            report.push(`${unlinked} task(s) or session(s) unlinked from a deleted topic or task`);
+        }
+
+        const knownSubjectIds = new Set([...subjectIds, ...missingSubjectIds, ...trashed('subjects').map(s => s.id)]);
+        let goalsFixed = 0;
+        this.goals.forEach(goal => {
+            const linked = (goal.subjectIds || []).filter(id => knownSubjectIds.has(id));
+            if (linked.length !== (goal.subjectIds || []).length) {
+                changes.push({ store: 'goals', before: goal, after: { ...goal, subjectIds: linked } });
+                goalsFixed++;
+            }
+        });
+        if (goalsFixed > 0) {
+            report.push(`${goalsFixed} goal(s) unlinked from deleted subjects`);
+        }
+
+        return { changes, report };
     }
 
     /**
-     * Calculate total time for date
+     * Normalise comma-separated tag input into a unique, lowercase list
      */
-    getTotalTimeForDate(dateString) {
-        const sessions = this.getSessionsForDate(dateString);
-        return sessions.reduce((total, session) => total + session.duration, 0);
+    parseTags(text) {
+        return [...new Set(text.split(',').map(tag => tag.trim().toLowerCase()).filter(Boolean))];
     }
 
     /**
-     * Get today's date string
+     * Every tag used on a session, most used first
      */
-    getTodayString() {
-        return this.formatDate(new Date());
+    getAllTags() {
+        const counts = {};
+        this.sessions.forEach(session => (session.tags || []).forEach(tag => {
+            counts[tag] = (counts[tag] || 0) + 1;
+        }));
+        return Object.keys(counts).sort((a, b) => counts[b] - counts[a] || a.localeCompare(b));
     }
 
     /**
-     * Format date to YYYY-MM-DD
+     * Whether every word of a search query appears in a session's subject,
+     * topic, task, notes or tags
      */
-    formatDate(date) {
-        const year = date.getFullYear();
-        const month = String(date.getMonth() + 1).padStart(2, '0');
-        const day = String(date.getDate()).padStart(2, '0');
-        return `${year}-${month}-${day}`;
+    sessionMatchesSearch(session, query) {
+        const subject = this.getSubject(session.subjectId);
+        const topic = this.getTopic(session.topicId);
+        const task = this.tasks.find(t => t.id === session.taskId);
+        const text = [
+            subject && subject.name,
+            topic && topic.name,
+            task && task.description,
+            session.notes,
+            ...(session.tags || [])
+        ].filter(Boolean).join(' ').toLowerCase();
+
+        return query.toLowerCase().split(/\s+/).filter(Boolean).every(word => text.includes(word));
     }
 
     /**
-     * Calculate study streak
+     * Study time and duration-weighted average focus per tag ('' = untagged).
+     * A session with several tags counts towards each of them.
      */
-    calculateStreak() {
-        if (this.sessions.length === 0) return 0;
+    getTagTotals(segments) {
+        const totals = {};
+        segments.forEach(segment => {
+            const { tags, focus } = segment.session;
+            (tags && tags.length ? tags : ['']).forEach(tag => {
+                if (!totals[tag]) {
+                    totals[tag] = { duration: 0, ratedDuration: 0, focusSum: 0 };
+                }
+                totals[tag].duration += segment.duration;
+                if (focus) {
+                    totals[tag].ratedDuration += segment.duration;
+                    totals[tag].focusSum += focus * segment.duration;
+                }
+            });
+        });
 
-        const today = new Date();
-        const todayString = this.formatDate(today);
-        
-        // Get unique dates with sessions, sorted descending
-        const datesWithSessions = [...new Set(this.sessions.map(s => s.date))]
-            .sort((a, b) => b.localeCompare(a));
+        return Object.entries(totals)
+            .map(([tag, t]) => ({
+                tag,
+                duration: t.duration,
+                averageFocus: t.ratedDuration > 0 ? t.focusSum / t.ratedDuration : null
+            }))
+            .sort((a, b) => b.duration - a.duration);
+    }
 
-        if (datesWithSessions.length === 0) return 0;
+    /**
+     * Share of a subject's topics marked as completed
+     */
+    getSyllabusProgress(subjectId) {
+        const topics = this.getTopicsForSubject(subjectId);
+        const completed = topics.filter(t => t.completed).length;
+        return {
+            completed,
+            total: topics.length,
+            percent: topics.length ? Math.round((completed / topics.length) * 100) : 0
+        };
+    }
 
-        // Check if studied today or yesterday
-        const latestDate = datesWithSessions[0];
-        const latestDateObj = new Date(latestDate);
-        const daysDiff = Math.floor((today - latestDateObj) / (1000 * 60 * 60 * 24));
+    /**
+     * Total seconds of sessions logged against a topic
+     */
+    getTimeForTopic(topicId) {
+        return this.getAggregates().topicTotals[topicId] || 0;
+    }
 
-        if (daysDiff > 1) return 0; // Streak broken
+    /**
+     * Total seconds of sessions logged against a task
+     */
+    getTimeForTask(taskId) {
+        return this.getAggregates().taskTotals[taskId] || 0;
+    }
 
-        let streak = 0;
-        let checkDate = new Date(today);
+    /**
+     * Revision entries due at the configured intervals after a date
+     */
+    buildRevisionSchedule(fromDateString) {
+        return this.revisionIntervals.map(days => {
+            return { id: this.generateId(), dueDate: this.addDays(fromDateString, days), completedAt: null };
+        });
+    }
 
-        // Count consecutive days
-        for (let i = 0; i < datesWithSessions.length; i++) {
-            const dateString = this.formatDate(checkDate);
-            if (datesWithSessions.includes(dateString)) {
-                streak++;
-                checkDate.setDate(checkDate.getDate() - 1);
-            } else {
-                break;
-            }
-        }
+    /**
+     * Outstanding revisions of completed tasks, earliest first
+     */
+    getPendingRevisions() {
+        return this.tasks
+            .filter(t => t.completed && t.revisions)
+            .flatMap(task => task.revisions
+                .filter(r => !r.completedAt)
+                .map(revision => ({ task, revision })))
+            .sort((a, b) => a.revision.dueDate.localeCompare(b.revision.dueDate));
+    }
 
-        return streak;
+    /**
+     * Incomplete tasks with a due date, split into overdue, today and the next 7 days
+     */
+    getTaskAgenda() {
+        const today = this.getTodayString();
+        const horizonString = this.addDays(today, 7);
+
+        const priorityOrder = { high: 0, medium: 1, low: 2 };
+        const due = this.tasks
+            .filter(t => !t.completed && t.dueDate)
+            .sort((a, b) =>
+                a.dueDate.localeCompare(b.dueDate) ||
+                (priorityOrder[a.priority] ?? 3) - (priorityOrder[b.priority] ?? 3)
+            );
+
+        return {
+            overdue: due.filter(t => t.dueDate < today),
+            today: due.filter(t => t.dueDate === today),
+            upcoming: due.filter(t => t.dueDate > today && t.dueDate <= horizonString),
+            revisions: this.getPendingRevisions().filter(r => r.revision.dueDate <= today)
+        };
     }
-}
 
-// =============================================================================
-// UI MANAGER
-// =============================================================================
+    /**
+     * Get tasks for a subject
+     */
+    getTasksForSubject(subjectId) {
+        return this.tasks.filter(t => t.subjectId === subjectId);
+    }
 
-class UIManager {
-    constructor(app) {
-        this.app = app;
-        this.initializeEventListeners();
+    /**
+     * Get sessions for a subject
+     */
+    getSessionsForSubject(subjectId) {
+        return this.sessions.filter(s => s.subjectId === subjectId);
     }
 
     /**
-     * Initialize all event listeners
+     * Per-day segments of a session, cached until the session changes
      */
-    initializeEventListeners() {
-        // Navigation
-        document.querySelectorAll('.nav-btn').forEach(btn => {
-            btn.addEventListener('click', () => this.switchView(btn.dataset.view));
+    getSessionSegments(session) {
+        let segments = this.segmentCache.get(session.id);
+        if (!segments || segments[0].session !== session) {
+            segments = this.splitSession(session);
+            this.segmentCache.set(session.id, segments);
+        }
+        return segments;
+    }
+
+    /**
+     * Split a session at local midnight into per-day segments.
+     * Each segment gets its share of the session duration.
+     */
+    splitSession(session) {
+        const segments = [];
+        const span = session.endedAt - session.startedAt;
+        let cursor = session.startedAt;
+        let assigned = 0;
+
+        while (cursor < session.endedAt) {
+            const date = this.getStudyDate(cursor);
+            const nextDayStart = this.getDayStartTimestamp(this.addDays(date, 1));
+            const segmentEnd = Math.min(nextDayStart, session.endedAt);
+            const duration = segmentEnd === session.endedAt ?
+                session.duration - assigned :
+                Math.round(session.duration * (segmentEnd - cursor) / span);
+
+            segments.push({
+                session,
+                subjectId: session.subjectId,
+                date,
+                startedAt: cursor,
+                endedAt: segmentEnd,
+                duration
+            });
+            assigned += duration;
+            cursor = segmentEnd;
+        }
+
+        if (segments.length === 0) {
+            segments.push({ session, subjectId: session.subjectId, date: session.date, startedAt: session.startedAt, endedAt: session.endedAt, duration: session.duration });
+        }
+        return segments;
+    }
+
+    /**
+     * Get per-day segments of every session
+     */
+    getAllSegments() {
+        if (!this.allSegments) {
+            this.allSegments = this.sessions.flatMap(session => this.getSessionSegments(session));
+        }
+        return this.allSegments;
+    }
+
+    /**
+     * Per-day and per-subject/task/topic totals. Built in one pass when first
+     * needed, then kept up to date session by session. Treat as read-only.
+     */
+    getAggregates() {
+        if (this.aggregates) return this.aggregates;
+
+        this.aggregates = {
+            sessionsByDate: {},       // date -> sessions covering part of it
+            dailyTotals: {},          // date -> seconds
+            subjectDailyTotals: {},   // subjectId -> date -> seconds
+            subjectTotals: {},
+            taskTotals: {},
+            topicTotals: {}
+        };
+        this.sessions.forEach(session => this.updateAggregates(session, 1));
+        return this.aggregates;
+    }
+
+    /**
+     * Add (sign 1) or remove (sign -1) one session's share of the aggregates.
+     * Days left without any session are dropped, so the keys stay the days studied.
+     */
+    updateAggregates(session, sign) {
+        const aggregates = this.aggregates;
+        const add = (totals, key, seconds) => {
+            totals[key] = (totals[key] || 0) + sign * seconds;
+        };
+
+        add(aggregates.subjectTotals, session.subjectId, session.duration);
+        if (session.taskId) add(aggregates.taskTotals, session.taskId, session.duration);
+        if (session.topicId) add(aggregates.topicTotals, session.topicId, session.duration);
+
+        this.getSessionSegments(session).forEach(({ date, subjectId, duration }) => {
+            if (!aggregates.subjectDailyTotals[subjectId]) aggregates.subjectDailyTotals[subjectId] = {};
+            add(aggregates.dailyTotals, date, duration);
+            add(aggregates.subjectDailyTotals[subjectId], date, duration);
+
+            if (sign > 0) {
+                if (!aggregates.sessionsByDate[date]) aggregates.sessionsByDate[date] = [];
+                aggregates.sessionsByDate[date].push(session);
+                return;
+            }
+
+            const remaining = aggregates.sessionsByDate[date].filter(s => s.id !== session.id);
+            if (remaining.length === 0) {
+                delete aggregates.sessionsByDate[date];
+                delete aggregates.dailyTotals[date];
+            } else {
+                aggregates.sessionsByDate[date] = remaining;
+            }
+            if (!remaining.some(s => s.subjectId === subjectId)) {
+                delete aggregates.subjectDailyTotals[subjectId][date];
+            }
         });
+    }
 
-        // Subject modal
-        document.getElementById('add-subject-btn').addEventListener('click', () => this.openSubjectModal());
-        document.getElementById('close-subject-modal').addEventListener('click', () => this.closeModal('subject-modal'));
-        document.getElementById('cancel-subject').addEventListener('click', () => this.closeModal('subject-modal'));
-        document.getElementById('save-subject').addEventListener('click', () => this.saveSubject());
+    /**
+     * Get sessions that cover any part of a date
+     */
+    getSessionsForDate(dateString) {
+        const sessions = this.getAggregates().sessionsByDate[dateString] || [];
+        return [...sessions].sort((a, b) => b.startedAt - a.startedAt);
+    }
 
-        // Color picker sync
-        const colorInput = document.getElementById('subject-color');
-        const colorHexInput = document.getElementById('subject-color-hex');
-        colorInput.addEventListener('input', (e) => {
-            colorHexInput.value = e.target.value;
+    /**
+     * Find a session whose time range overlaps the given one
+     */
+    findOverlappingSession(startedAt, endedAt, excludeId = null) {
+        return this.sessions.find(s =>
+            s.id !== excludeId && startedAt < s.endedAt && endedAt > s.startedAt
+        );
+    }
+
+    /**
+     * Calculate total time for subject
+     */
+    getTotalTimeForSubject(subjectId) {
+        return this.getAggregates().subjectTotals[subjectId] || 0;
+    }
+
+    /**
+     * Calculate total time for date (overnight sessions only count their share)
+     */
+    getTotalTimeForDate(dateString) {
+        return this.getAggregates().dailyTotals[dateString] || 0;
+    }
+
+    /**
+     * Get goals with the primary goal first, then by target date
+     */
+    getSortedGoals() {
+        return [...this.goals].sort((a, b) => {
+            if (a.primary !== b.primary) return a.primary ? -1 : 1;
+            return a.targetDate.localeCompare(b.targetDate);
         });
-        colorHexInput.addEventListener('input', (e) => {
-            if (/^#[0-9A-F]{6}$/i.test(e.target.value)) {
-                colorInput.value = e.target.value;
+    }
+
+    /**
+     * Days/weeks remaining and share of the preparation time already used
+     */
+    getGoalProgress(goal) {
+        const today = this.getTodayString();
+        const totalDays = this.daysBetween(goal.startDate, goal.targetDate);
+        const elapsedDays = this.daysBetween(goal.startDate, today);
+
+        const daysRemaining = Math.max(0, this.daysBetween(today, goal.targetDate));
+        return {
+            daysRemaining,
+            weeksRemaining: Math.max(0, Math.ceil(daysRemaining / 7)),
+            percentElapsed: totalDays > 0 ? Math.min(100, Math.max(0, (elapsedDays / totalDays) * 100)) : 100
+        };
+    }
+
+    /**
+     * Calculate time for a subject (or all subjects) between two dates, inclusive
+     */
+    getTimeBetween(fromDate, toDate, subjectId = null) {
+        return Object.entries(this.getDailyTotals(subjectId))
+            .filter(([date]) => date >= fromDate && date <= toDate)
+            .reduce((total, [, seconds]) => total + seconds, 0);
+    }
+
+    /**
+     * Get the Monday of the current week as YYYY-MM-DD
+     */
+    getWeekStartString(dateString = this.getTodayString()) {
+        const daysSinceMonday = (this.getWeekday(dateString) + 6) % 7;
+        return this.addDays(dateString, -daysSinceMonday);
+    }
+
+    /**
+     * Whole days from one YYYY-MM-DD date to another
+     */
+    daysBetween(fromDateString, toDateString) {
+        const from = this.parseDate(fromDateString);
+        const to = this.parseDate(toDateString);
+        // Rounding absorbs the 23/25-hour days around DST changes
+        return Math.round((to - from) / (24 * 60 * 60 * 1000));
+    }
+
+    /**
+     * Inclusive {from, to} date range of a period, or null for all time.
+     * 'week' and 'month' are calendar-aligned (Monday–Sunday, 1st–last day).
+     */
+    getPeriodRange(period, customRange = {}) {
+        const today = this.getTodayString();
+        const todayDate = this.parseDate(today);
+
+        switch (period) {
+            case 'today':
+                return { from: today, to: today };
+            case 'week': {
+                const from = this.getWeekStartString();
+                return { from, to: this.addDays(from, 6) };
+            }
+            case 'month':
+                return {
+                    from: this.formatDate(new Date(todayDate.getFullYear(), todayDate.getMonth(), 1)),
+                    to: this.formatDate(new Date(todayDate.getFullYear(), todayDate.getMonth() + 1, 0))
+                };
+            case 'last7':
+                return { from: this.addDays(today, -6), to: today };
+            case 'last30':
+                return { from: this.addDays(today, -29), to: today };
+            case 'custom': {
+                const { from, to } = customRange;
+                if (!from || !to) return null;
+                return from <= to ? { from, to } : { from: to, to: from };
+            }
+            default:
+                return null;
+        }
+    }
+
+    /**
+     * The period of the same length immediately before a range (the previous
+     * calendar month for 'month')
+     */
+    getPreviousRange(period, range) {
+        if (!range) return null;
+
+        if (period === 'month') {
+            const start = this.parseDate(range.from);
+            return {
+                from: this.formatDate(new Date(start.getFullYear(), start.getMonth() - 1, 1)),
+                to: this.addDays(range.from, -1)
+            };
+        }
+
+        const days = this.daysBetween(range.from, range.to) + 1;
+        return { from: this.addDays(range.from, -days), to: this.addDays(range.from, -1) };
+    }
+
+    /**
+     * Day segments that fall inside a range (every segment when range is null)
+     */
+    getSegmentsInRange(range) {
+        const segments = this.getAllSegments();
+        if (!range) return segments;
+        return segments.filter(s => s.date >= range.from && s.date <= range.to);
+    }
+
+    /**
+     * Study seconds per subject for a list of segments
+     */
+    getSubjectTotals(segments) {
+        const totals = {};
+        segments.forEach(segment => {
+            totals[segment.subjectId] = (totals[segment.subjectId] || 0) + segment.duration;
+        });
+        return totals;
+    }
+
+    /**
+     * Shift a YYYY-MM-DD date by a number of days
+     */
+    addDays(dateString, days) {
+        const date = this.parseDate(dateString);
+        date.setDate(date.getDate() + days);
+        return this.formatDate(date);
+    }
+
+    /**
+     * Today's and this week's study time for a subject
+     */
+    getSubjectProgress(subjectId) {
+        const today = this.getTodayString();
+        return {
+            today: this.getTimeBetween(today, today, subjectId),
+            week: this.getTimeBetween(this.getWeekStartString(), today, subjectId)
+        };
+    }
+
+    /**
+     * Date handling. Dates are local YYYY-MM-DD strings; a study day runs from
+     * dayStartHour to dayStartHour the next morning. Never parse date strings
+     * with new Date(string): date-only strings are read as UTC midnight.
+     */
+    parseDate(dateString) {
+        const [year, month, day] = dateString.split('-').map(Number);
+        return new Date(year, month - 1, day);
+    }
+
+    /**
+     * Study day a timestamp belongs to
+     */
+    getStudyDate(timestamp) {
+        const date = new Date(timestamp);
+        if (date.getHours() < this.dayStartHour) {
+            date.setDate(date.getDate() - 1);
+        }
+        return this.formatDate(date);
+    }
+
+    /**
+     * Timestamp at which a study day begins
+     */
+    getDayStartTimestamp(dateString) {
+        const date = this.parseDate(dateString);
+        date.setHours(this.dayStartHour);
+        return date.getTime();
+    }
+
+    /**
+     * Timestamp of an HH:MM clock time within a study day (times before the
+     * day start hour fall on the next calendar day)
+     */
+    getStudyTimestamp(dateString, clock) {
+        const [hours, minutes] = clock.split(':').map(Number);
+        const date = this.parseDate(dateString);
+        if (hours < this.dayStartHour) {
+            date.setDate(date.getDate() + 1);
+        }
+        date.setHours(hours, minutes, 0, 0);
+        return date.getTime();
+    }
+
+    /**
+     * Day of the week of a date (0 = Sunday)
+     */
+    getWeekday(dateString) {
+        return this.parseDate(dateString).getDay();
+    }
+
+    formatDisplayDate(dateString, options) {
+        return this.parseDate(dateString).toLocaleDateString('en-US', options);
+    }
+
+    /**
+     * Get today's date string
+     */
+    getTodayString() {
+        return this.getStudyDate(Date.now());
+    }
+
+    /**
+     * Format date to YYYY-MM-DD
+     */
+    formatDate(date) {
+        const year = date.getFullYear();
+        const month = String(date.getMonth() + 1).padStart(2, '0');
+        const day = String(date.getDate()).padStart(2, '0');
+        return `${year}-${month}-${day}`;
+    }
+
+    /**
+     * Format a timestamp as local HH:MM
+     */
+    formatClock(timestamp) {
+        const date = new Date(timestamp);
+        return `${String(date.getHours()).padStart(2, '0')}:${String(date.getMinutes()).padStart(2, '0')}`;
+    }
+
+    /**
+     * Study seconds per date, optionally for one subject (cached, read-only)
+     */
+    getDailyTotals(subjectId = null) {
+        const aggregates = this.getAggregates();
+        return subjectId ? aggregates.subjectDailyTotals[subjectId] || {} : aggregates.dailyTotals;
+    }
+
+    /**
+     * All-time consistency metrics: longest streak, average per study day, best day and best week
+     */
+    getConsistencyStats(subjectId = null) {
+        const totals = this.getDailyTotals(subjectId);
+        const dates = Object.keys(totals).sort();
+
+        let longestStreak = 0;
+        let run = 0;
+        dates.forEach((date, i) => {
+            run = i > 0 && this.addDays(dates[i - 1], 1) === date ? run + 1 : 1;
+            longestStreak = Math.max(longestStreak, run);
+        });
+
+        const bestDay = dates.reduce((best, date) =>
+            !best || totals[date] > totals[best] ? date : best, null);
+
+        const weekTotals = {};
+        dates.forEach(date => {
+            const weekStart = this.getWeekStartString(date);
+            weekTotals[weekStart] = (weekTotals[weekStart] || 0) + totals[date];
+        });
+        const bestWeek = Object.keys(weekTotals).reduce((best, week) =>
+            !best || weekTotals[week] > weekTotals[best] ? week : best, null);
+
+        const total = dates.reduce((sum, date) => sum + totals[date], 0);
+
+        return {
+            studyDays: dates.length,
+            longestStreak,
+            averagePerStudyDay: dates.length ? Math.round(total / dates.length) : 0,
+            bestDay: bestDay ? { date: bestDay, seconds: totals[bestDay] } : null,
+            bestWeek: bestWeek ? { weekStart: bestWeek, seconds: weekTotals[bestWeek] } : null
+        };
+    }
+
+    /**
+     * Study minutes in a 7x24 grid (Monday first, by local clock hour) from day segments
+     */
+    getHourlyGrid(segments) {
+        const grid = Array.from({ length: 7 }, () => new Array(24).fill(0));
+
+        segments.forEach(segment => {
+            const span = segment.endedAt - segment.startedAt;
+            if (span <= 0) return;
+            // Spread the recorded duration evenly over the clock time it covers
+            const scale = segment.duration / (span / 1000);
+            // Rows follow the study day, so 1 a.m. study before the day start stays on the previous day
+            const weekday = (this.getWeekday(segment.date) + 6) % 7;
+            let cursor = segment.startedAt;
+
+            while (cursor < segment.endedAt) {
+                const time = new Date(cursor);
+                const nextHour = new Date(time.getFullYear(), time.getMonth(), time.getDate(), time.getHours() + 1).getTime();
+                const end = Math.min(nextHour, segment.endedAt);
+                grid[weekday][time.getHours()] += ((end - cursor) / 60000) * scale;
+                cursor = end;
             }
         });
 
-        // Task modal
-        document.getElementById('close-task-modal').addEventListener('click', () => this.closeModal('task-modal'));
-        document.getElementById('cancel-task').addEventListener('click', () => this.closeModal('task-modal'));
-        document.getElementById('save-task').addEventListener('click', () => this.saveTask());
+        return grid;
+    }
 
-        // Goal modal
-        document.getElementById('edit-goal-btn').addEventListener('click', () => this.openGoalModal());
-        document.getElementById('close-goal-modal').addEventListener('click', () => this.closeModal('goal-modal'));
-        document.getElementById('cancel-goal').addEventListener('click', () => this.closeModal('goal-modal'));
-        document.getElementById('save-goal').addEventListener('click', () => this.saveGoal());
-        document.getElementById('reset-goal').addEventListener('click', () => this.resetGoal());
+    /**
+     * Busiest non-overlapping windows of a given length (in hours) across all weekdays
+     */
+    getProductiveWindows(grid, windowHours = 2, count = 3) {
+        const hourTotals = new Array(24).fill(0);
+        grid.forEach(row => row.forEach((minutes, hour) => { hourTotals[hour] += minutes; }));
+
+        const windows = [];
+        for (let start = 0; start + windowHours <= 24; start++) {
+            const minutes = hourTotals.slice(start, start + windowHours).reduce((sum, m) => sum + m, 0);
+            if (minutes > 0) windows.push({ start, end: start + windowHours, minutes });
+        }
 
-        // Session modal
-        document.getElementById('close-session-modal').addEventListener('click', () => this.closeModal('session-modal'));
-        document.getElementById('cancel-session').addEventListener('click', () => this.closeModal('session-modal'));
-        document.getElementById('save-session').addEventListener('click', () => this.saveSession());
+        const chosen = [];
+        windows
+            .sort((a, b) => b.minutes - a.minutes)
+            .forEach(w => {
+                if (chosen.length < count && chosen.every(c => w.end <= c.start || w.start >= c.end)) {
+                    chosen.push(w);
+                }
+            });
+        return chosen;
+    }
+
+    /**
+     * Calculate study streak
+     */
+    calculateStreak() {
+        if (this.sessions.length === 0) return 0;
+
+        const todayString = this.getTodayString();
+        const datesWithSessions = new Set(Object.keys(this.getDailyTotals()));
+
+        // The streak is still alive if today has no study yet but yesterday does
+        let checkDate = datesWithSessions.has(todayString) ? todayString : this.addDays(todayString, -1);
+        let streak = 0;
+
+        // Count consecutive days
+        while (datesWithSessions.has(checkDate)) {
+            streak++;
+            checkDate = this.addDays(checkDate, -1);
+        }
+
+        return streak;
+    }
+}
+
+// =============================================================================
+// CSV IMPORT
+// =============================================================================
+
+class CsvImporter {
+    constructor(state) {
+        this.state = state;
+
+        // Header names recognised for each session field
+        this.fieldAliases = {
+            date: ['date', 'day', 'study date'],
+            subject: ['subject', 'subject name', 'category', 'course', 'title'],
+            start: ['start', 'start time', 'started', 'from', 'begin'],
+            end: ['end', 'end time', 'ended', 'to', 'finish', 'stop'],
+            duration: ['duration', 'duration_minutes', 'duration minutes', 'minutes', 'mins', 'time', 'study time', 'length'],
+            color: ['color', 'colour', 'subject_color', 'subject color']
+        };
+
+        this.subjectColors = ['#6366f1', '#ef4444', '#10b981', '#f59e0b', '#06b6d4', '#8b5cf6', '#ec4899', '#84cc16'];
+    }
+
+    /**
+     * Spreadsheet apps run cells starting with = + - @ (or a tab or CR) as
+     * formulas. Export adds a ' in front of such text (and of text already
+     * quoted that way), and import removes exactly that one '
+     */
+    escapeFormula(text) {
+        return /^'*[=+\-@\t\r]/.test(text) ? `'${text}` : text;
+    }
+
+    unescapeFormula(text) {
+        return /^'+[=+\-@\t\r]/.test(text) ? text.slice(1) : text;
+    }
+
+    /**
+     * Parse CSV text into rows of strings (quoted fields, CRLF and ; or tab delimiters)
+     */
+    parse(text) {
+        text = text.replace(/^\ufeff/, '');
+        const firstLine = text.split(/\r?\n/, 1)[0];
+        const delimiter = [',', ';', '\t']
+            .sort((a, b) => firstLine.split(b).length - firstLine.split(a).length)[0];
+
+        const rows = [];
+        let row = [];
+        let field = '';
+        let inQuotes = false;
+
+        for (let i = 0; i < text.length; i++) {
+            const char = text[i];
+
+            if (inQuotes) {
+                if (char === '"' && text[i + 1] === '"') {
+                    field += '"';
+                    i++;
+                } else if (char === '"') {
+                    inQuotes = false;
+                } else {
+                    field += char;
+                }
+            } else if (char === '"') {
+                inQuotes = true;
+            } else if (char === delimiter) {
+                row.push(field);
+                field = '';
+            } else if (char === '\n' || char === '\r') {
+                if (char === '\r' && text[i + 1] === '\n') i++;
+                row.push(field);
+                rows.push(row);
+                row = [];
+                field = '';
+            } else {
+                field += char;
+            }
+        }
+
+        if (field !== '' || row.length > 0) {
+            row.push(field);
+            rows.push(row);
+        }
+
+        return rows.filter(r => r.some(value => value.trim() !== ''));
+    }
+
+    /**
+     * Guess which column holds each field from the header row
+     */
+    detectMapping(headers) {
+        const normalized = headers.map(h => h.trim().toLowerCase());
+        const mapping = {};
+
+        Object.entries(this.fieldAliases).forEach(([field, aliases]) => {
+            const index = normalized.findIndex(h => aliases.includes(h));
+            mapping[field] = index;
+        });
+
+        return mapping;
+    }
+
+    /**
+     * Parse a date in the chosen format into YYYY-MM-DD
+     */
+    parseDate(value, format) {
+        value = value.trim();
+        // Year-first dates are unambiguous whatever format was chosen
+        let match = value.match(/^(\d{4})[-/.](\d{1,2})[-/.](\d{1,2})/);
+        if (match) return this.buildDate(match[1], match[2], match[3]);
+
+        match = value.match(/^(\d{1,2})[-/.](\d{1,2})[-/.](\d{2,4})/);
+        if (!match) return null;
+
+        const year = match[3].length === 2 ? `20${match[3]}` : match[3];
+        return format === 'mdy' ?
+            this.buildDate(year, match[1], match[2]) :
+            this.buildDate(year, match[2], match[1]);
+    }
+
+    buildDate(year, month, day) {
+        const date = new Date(Number(year), Number(month) - 1, Number(day));
+        if (date.getMonth() !== Number(month) - 1) return null;
+        return this.state.formatDate(date);
+    }
+
+    /**
+     * Parse "HH:MM", "HH:MM:SS" or "h:mm AM" into seconds after midnight
+     */
+    parseClock(value) {
+        const match = value.trim().match(/(\d{1,2}):(\d{2})(?::(\d{2}))?\s*([ap]\.?m\.?)?$/i);
+        if (!match) return null;
+
+        let hours = Number(match[1]);
+        const meridiem = match[4] ? match[4][0].toLowerCase() : null;
+        if (meridiem === 'p' && hours < 12) hours += 12;
+        if (meridiem === 'a' && hours === 12) hours = 0;
+        if (hours > 23 || Number(match[2]) > 59) return null;
+
+        return hours * 3600 + Number(match[2]) * 60 + Number(match[3] || 0);
+    }
+
+    /**
+     * Parse a start/end cell: a time on the row's date, or a full date and time
+     */
+    parseMoment(value, date, format) {
+        if (!value || !value.trim()) return null;
+
+        const clock = this.parseClock(value);
+        if (clock === null) return null;
+
+        const ownDate = this.parseDate(value, format);
+        if (!ownDate && !date) return null;
+
+        const moment = this.state.parseDate(ownDate || date);
+        moment.setSeconds(clock);
+        return { timestamp: moment.getTime(), hasDate: Boolean(ownDate) };
+    }
+
+    /**
+     * Parse a duration as H:MM(:SS) or a number in the chosen unit, into seconds
+     */
+    parseDuration(value, unit) {
+        value = value.trim();
+        if (!value) return null;
+
+        if (value.includes(':')) {
+            const parts = value.split(':').map(Number);
+            if (parts.some(isNaN)) return null;
+            const [h, m, sec = 0] = parts;
+            return h * 3600 + m * 60 + sec;
+        }
+
+        const number = parseFloat(value.replace(',', '.'));
+        if (isNaN(number)) return null;
+
+        const multipliers = { seconds: 1, minutes: 60, hours: 3600 };
+        return Math.round(number * multipliers[unit]);
+    }
+
+    /**
+     * Turn CSV rows into candidate sessions with a status for the preview
+     */
+    buildSessions(rows, mapping, { dateFormat, durationUnit }) {
+        const cell = (row, field) =>
+            this.unescapeFormula((mapping[field] >= 0 ? (row[mapping[field]] || '') : '').trim());
+        const subjectsByName = new Map(this.state.subjects.map(s => [s.name.trim().toLowerCase(), s]));
+        const newSubjects = new Map();
+        const seen = new Set();
+        const dayCursor = {};
+
+        return rows.map(row => {
+            const result = { subjectName: cell(row, 'subject') };
+
+            if (!result.subjectName) return { ...result, status: 'error', reason: 'Missing subject' };
+
+            const rawStart = cell(row, 'start');
+            let date = this.parseDate(cell(row, 'date'), dateFormat) || this.parseDate(rawStart, dateFormat);
+            if (!date) return { ...result, status: 'error', reason: 'Missing or invalid date' };
+
+            const start = this.parseMoment(rawStart, date, dateFormat);
+            const end = this.parseMoment(cell(row, 'end'), date, dateFormat);
+            let duration = this.parseDuration(cell(row, 'duration'), durationUnit);
+            let startedAt;
+            let endedAt;
+
+            if (start && end) {
+                startedAt = start.timestamp;
+                endedAt = end.timestamp;
+                // A bare end time before the start time means the session ran past midnight
+                if (endedAt <= startedAt && !end.hasDate) endedAt += 24 * 3600 * 1000;
+                duration = Math.round((endedAt - startedAt) / 1000);
+            } else if (start && duration) {
+                startedAt = start.timestamp;
+                endedAt = startedAt + duration * 1000;
+            } else if (end && duration) {
+                endedAt = end.timestamp;
+                startedAt = endedAt - duration * 1000;
+            } else if (duration) {
+                // No times at all: lay the day's sessions end to end from the start of the day
+                startedAt = dayCursor[date] || this.state.getDayStartTimestamp(date);
+                endedAt = startedAt + duration * 1000;
+                dayCursor[date] = endedAt;
+            } else {
+                return { ...result, status: 'error', reason: 'Needs a duration or start and end times' };
+            }
+
+            if (!(duration > 0) || duration > 24 * 3600) {
+                return { ...result, status: 'error', reason: 'Duration must be between 1 second and 24 hours' };
+            }
+
+            date = this.state.getStudyDate(startedAt);
+            const key = result.subjectName.toLowerCase();
+            let subject = subjectsByName.get(key);
+            let isNewSubject = false;
+
+            if (!subject) {
+                subject = newSubjects.get(key);
+                if (!subject) {
+                    const color = cell(row, 'color');
+                    subject = {
+                        id: this.state.generateId(),
+                        name: result.subjectName,
+                        color: /^#[0-9A-F]{6}$/i.test(color) ?
+                            color :
+                            this.subjectColors[(this.state.subjects.length + newSubjects.size) % this.subjectColors.length],
+                        createdAt: Date.now()
+                    };
+                    newSubjects.set(key, subject);
+                }
+                isNewSubject = true;
+            }
+
+            const session = {
+                id: this.state.generateId(),
+                subjectId: subject.id,
+                date,
+                startedAt,
+                endedAt,
+                duration
+            };
+
+            const duplicateKey = `${subject.id}|${Math.round(startedAt / 60000)}|${Math.round(duration / 60)}`;
+            const isDuplicate = seen.has(duplicateKey) || (!isNewSubject && this.isDuplicate(session));
+            seen.add(duplicateKey);
+
+            return {
+                ...result,
+                session,
+                subject,
+                isNewSubject,
+                status: isDuplicate ? 'duplicate' : 'new'
+            };
+        });
+    }
+
+    /**
+     * A session for the same subject starting and lasting within a minute of an existing one
+     */
+    isDuplicate(session) {
+        return this.state.sessions.some(s =>
+            s.subjectId === session.subjectId &&
+            Math.abs(s.startedAt - session.startedAt) < 60000 &&
+            Math.abs(s.duration - session.duration) < 60
+        );
+    }
+}
+
+// =============================================================================
+// UI MANAGER
+// =============================================================================
+
+class UIManager {
+    constructor(app) {
+        this.app = app;
+        this.csvImporter = new CsvImporter(app.state);
+
+        // History renders in pages so long histories stay responsive
+        this.historyPageSize = 50;
+        this.historySessions = [];
+        this.historyDayTotals = {};
+        this.historyRendered = 0;
+        this.historyObserver = null;
+        this.undoToastTimeout = null;
+        this.timerMirrorId = null;      // Display tick for a timer running in another tab
+        this.refreshing = false;        // Set once the user accepts an app update
+
+        // Stores each view reads; a view re-renders only when one of them changes
+        this.viewStores = {
+            dashboard: ['subjects', 'topics', 'tasks', 'sessions', 'goals', 'settings'],
+            subjects: ['subjects', 'topics', 'tasks', 'sessions', 'settings'],
+            timer: ['subjects', 'tasks', 'settings'],
+            calendar: ['subjects', 'tasks', 'sessions', 'settings'],
+            history: ['subjects', 'topics', 'tasks', 'sessions', 'settings'],
+            stats: ['subjects', 'topics', 'sessions', 'settings'],
+            settings: ['trash', 'settings']
+        };
+
+        this.initializeEventListeners();
+    }
+
+    /**
+     * Initialize all event listeners
+     */
+    initializeEventListeners() {
+        // Navigation
+        document.querySelectorAll('.nav-btn').forEach(btn => {
+            btn.addEventListener('click', () => this.switchView(btn.dataset.view));
+        });
+
+        // Subject modal
+        document.getElementById('add-subject-btn').addEventListener('click', () => this.openSubjectModal());
+        document.getElementById('close-subject-modal').addEventListener('click', () => this.closeModal('subject-modal'));
+        document.getElementById('cancel-subject').addEventListener('click', () => this.closeModal('subject-modal'));
+        document.getElementById('save-subject').addEventListener('click', () => this.saveSubject());
+
+        // Color picker sync
+        const colorInput = document.getElementById('subject-color');
+        const colorHexInput = document.getElementById('subject-color-hex');
+        colorInput.addEventListener('input', (e) => {
+            colorHexInput.value = e.target.value;
+        });
+        colorHexInput.addEventListener('input', (e) => {
+            if (/^#[0-9A-F]{6}$/i.test(e.target.value)) {
+                colorInput.value = e.target.value;
+            }
+        });
+
+        // Task modal
+        document.getElementById('close-task-modal').addEventListener('click', () => this.closeModal('task-modal'));
+        document.getElementById('cancel-task').addEventListener('click', () => this.closeModal('task-modal'));
+        document.getElementById('save-task').addEventListener('click', () => this.saveTask());
+        document.getElementById('session-subject').addEventListener('change', (e) => this.renderSessionTaskOptions(e.target.value));
+        document.getElementById('session-task').addEventListener('change', (e) => {
+            // A task's topic is the natural default for its sessions
+            const task = this.app.state.tasks.find(t => t.id === e.target.value);
+            if (task && task.topicId) {
+                document.getElementById('session-topic').value = task.topicId;
+            }
+        });
+        document.getElementById('add-checklist-item').addEventListener('click', () => this.addChecklistRow());
+
+        // Dashboard task agenda
+        document.querySelectorAll('.agenda-tab').forEach(btn => {
+            btn.addEventListener('click', () => {
+                this.app.state.taskAgendaTab = btn.dataset.agenda;
+                document.querySelectorAll('.agenda-tab').forEach(b => b.classList.remove('active'));
+                btn.classList.add('active');
+                this.renderTaskAgenda();
+            });
+        });
+
+        // Goal modal
+        document.getElementById('add-goal-btn').addEventListener('click', () => this.openGoalModal());
+        document.getElementById('close-goal-modal').addEventListener('click', () => this.closeModal('goal-modal'));
+        document.getElementById('cancel-goal').addEventListener('click', () => this.closeModal('goal-modal'));
+        document.getElementById('save-goal').addEventListener('click', () => this.saveGoal());
+        document.getElementById('delete-goal').addEventListener('click', () => this.deleteGoal());
+
+        // Session modal
+        document.getElementById('close-session-modal').addEventListener('click', () => this.closeModal('session-modal'));
+        document.getElementById('cancel-session').addEventListener('click', () => this.closeModal('session-modal'));
+        document.getElementById('save-session').addEventListener('click', () => this.saveSession());
+        document.getElementById('session-start').addEventListener('input', () => this.updateSessionOvernightHint());
+        document.getElementById('close-review-modal').addEventListener('click', () => this.closeModal('review-modal'));
+        document.getElementById('skip-review').addEventListener('click', () => this.closeModal('review-modal'));
+        document.getElementById('save-review').addEventListener('click', () => this.saveSessionReview());
+
+        // Clicking a suggested tag adds it to the tag field of the same form
+        ['session', 'review'].forEach(prefix => {
+            document.getElementById(`${prefix}-tag-suggestions`).addEventListener('click', (e) => {
+                const chip = e.target.closest('[data-tag]');
+                if (chip) this.addSuggestedTag(prefix, chip.dataset.tag);
+            });
+            document.getElementById(`${prefix}-tags`).addEventListener('input', () => this.renderTagSuggestions(prefix));
+        });
+        document.getElementById('session-end').addEventListener('input', () => this.updateSessionOvernightHint());
+        document.getElementById('add-session-btn').addEventListener('click', () => this.openSessionModal());
+        document.getElementById('export-csv-btn').addEventListener('click', () => this.exportHistoryCsv());
+
+        // CSV import
+        document.getElementById('import-csv-btn').addEventListener('click', () => document.getElementById('import-csv-file').click());
+        document.getElementById('import-csv-file').addEventListener('change', (e) => this.onCsvFileSelected(e));
+        document.getElementById('close-csv-modal').addEventListener('click', () => this.closeModal('csv-modal'));
+        document.getElementById('cancel-csv-import').addEventListener('click', () => this.closeModal('csv-modal'));
+        document.getElementById('confirm-csv-import').addEventListener('click', () => this.confirmCsvImport());
+        document.getElementById('csv-options').addEventListener('change', () => this.renderCsvPreview());
+
+        // Subject detail modal
+        document.getElementById('close-subject-detail').addEventListener('click', () => this.closeModal('subject-detail-modal'));
+        document.getElementById('edit-subject-btn').addEventListener('click', () => this.editCurrentSubject());
+        document.getElementById('delete-subject-btn').addEventListener('click', () => this.deleteCurrentSubject());
+        document.getElementById('add-task-btn').addEventListener('click', () => this.openTaskModal());
+        document.getElementById('add-topic-btn').addEventListener('click', () => this.openTopicModal());
+
+        // Topic modal
+        document.getElementById('close-topic-modal').addEventListener('click', () => this.closeModal('topic-modal'));
+        document.getElementById('cancel-topic').addEventListener('click', () => this.closeModal('topic-modal'));
+        document.getElementById('save-topic').addEventListener('click', () => this.saveTopic());
+
+        // Timer controls
+        document.getElementById('timer-subject').addEventListener('change', (e) => this.onTimerSubjectChange(e));
+        document.getElementById('timer-task').addEventListener('change', (e) => {
+            this.app.state.timerState.taskId = e.target.value || null;
+            this.persistTimer();
+        });
+        document.getElementById('complete-task-on-stop').addEventListener('change', (e) => {
+            this.app.state.timerConfig.completeTaskOnStop = e.target.checked;
+            this.saveTimerConfig();
+        });
+        document.getElementById('start-timer').addEventListener('click', () => this.startTimer());
+        document.getElementById('pause-timer').addEventListener('click', () => this.pauseTimer());
+        document.getElementById('reset-timer').addEventListener('click', () => this.resetTimer());
+        document.getElementById('skip-break').addEventListener('click', () => this.skipBreak());
+        document.querySelectorAll('.mode-btn').forEach(btn => {
+            btn.addEventListener('click', () => this.setTimerMode(btn.dataset.mode));
+        });
+        document.querySelectorAll('.timer-settings input').forEach(input => {
+            input.addEventListener('change', () => this.saveTimerConfig());
+        });
+
+        // Calendar navigation
+        document.getElementById('prev-month').addEventListener('click', () => this.changeMonth(-1));
+        document.getElementById('next-month').addEventListener('click', () => this.changeMonth(1));
+
+        // Study targets
+        document.getElementById('save-daily-target').addEventListener('click', () => this.saveDailyTarget());
+        document.getElementById('save-day-start').addEventListener('click', () => this.saveDayStart());
+        document.getElementById('empty-trash').addEventListener('click', () => this.emptyTrash());
+
+        // Undo toast and keyboard shortcuts (outside text fields)
+        document.getElementById('undo-toast-undo').addEventListener('click', () => this.undo());
+        document.getElementById('undo-toast-redo').addEventListener('click', () => this.redo());
+        document.getElementById('undo-toast-close').addEventListener('click', () => this.hideUndoToast());
+        document.addEventListener('keydown', (e) => {
+            if (!(e.ctrlKey || e.metaKey) || ['INPUT', 'TEXTAREA', 'SELECT'].includes(e.target.tagName)) return;
+            const key = e.key.toLowerCase();
+            if (key === 'z' && !e.shiftKey) {
+                e.preventDefault();
+                this.undo();
+            } else if (key === 'y' || (key === 'z' && e.shiftKey)) {
+                e.preventDefault();
+                this.redo();
+            }
+        });
+
+        // Backup & restore
+        document.getElementById('export-backup-btn').addEventListener('click', () => this.exportBackup());
+        document.getElementById('download-migration-backup').addEventListener('click', () => this.downloadMigrationBackup());
+        document.getElementById('import-backup-btn').addEventListener('click', () => document.getElementById('import-backup-file').click());
+        document.getElementById('import-backup-file').addEventListener('change', (e) => this.onBackupFileSelected(e));
+        document.getElementById('close-import-modal').addEventListener('click', () => this.closeModal('import-modal'));
+        document.getElementById('cancel-import').addEventListener('click', () => this.closeModal('import-modal'));
+        document.getElementById('confirm-import').addEventListener('click', () => this.confirmImport());
+        document.querySelectorAll('input[name="import-mode"]').forEach(radio => {
+            radio.addEventListener('change', () => this.updateImportOptions());
+        });
+
+        // History and stats periods
+        this.initializePeriodControls('history', () => this.renderHistory());
+        document.getElementById('history-search').addEventListener('input', () => this.renderHistory());
+        document.getElementById('history-tag').addEventListener('change', () => this.renderHistory());
+        document.getElementById('history-min-duration').addEventListener('input', () => this.renderHistory());
+        document.getElementById('history-max-duration').addEventListener('input', () => this.renderHistory());
+        document.getElementById('history-subjects').addEventListener('change', () => {
+            this.app.state.historySubjectIds = [...document.querySelectorAll('#history-subjects input:checked')]
+                .map(input => input.value);
+            this.renderHistory();
+        });
+        document.getElementById('clear-history-filters').addEventListener('click', () => this.clearHistoryFilters());
+        document.getElementById('history-show-more').addEventListener('click', () => this.renderMoreHistory());
+        this.initializePeriodControls('stats', () => this.renderStats());
+        document.getElementById('heatmap-subject').addEventListener('change', () => this.renderHeatmap());
+        document.getElementById('rhythm-subject').addEventListener('change', () => this.renderStats());
+
+        // Save timer progress when the tab is hidden or closed
+        document.addEventListener('visibilitychange', () => {
+            if (document.visibilityState === 'hidden' && this.app.state.timerState.isRunning) {
+                this.persistTimer();
+            }
+        });
+
+        // Hand a timer running here over to another open tab
+        window.addEventListener('pagehide', () => {
+            if (this.app.state.timerState.isRunning && !this.isTimerRemote()) {
+                this.app.sync.post({ type: 'timer-closed' });
+            }
+        });
+
+        // App update banner
+        document.getElementById('apply-update').addEventListener('click', () => this.applyUpdate());
+        document.getElementById('db-closed-reload').addEventListener('click', () => location.reload());
+        document.getElementById('dismiss-update').addEventListener('click', () => {
+            document.getElementById('update-banner').classList.add('hidden');
+        });
+
+        // Modal backdrop click
+        document.querySelectorAll('.modal').forEach(modal => {
+            modal.addEventListener('click', (e) => {
+                if (e.target === modal) {
+                    this.closeModal(modal.id);
+                }
+            });
+        });
+    }
+
+    /**
+     * Switch between views
+     */
+    switchView(viewName) {
+        this.app.state.currentView = viewName;
+
+        // Update nav buttons
+        document.querySelectorAll('.nav-btn').forEach(btn => {
+            btn.classList.toggle('active', btn.dataset.view === viewName);
+        });
+
+        // Update views
+        document.querySelectorAll('.view').forEach(view => {
+            view.classList.remove('active');
+        });
+        document.getElementById(`${viewName}-view`).classList.add('active');
+
+        this.renderView(viewName);
+    }
+
+    /**
+     * Render a view's content
+     */
+    renderView(viewName) {
+        switch (viewName) {
+            case 'dashboard':
+                this.renderDashboard();
+                break;
+            case 'subjects':
+                this.renderSubjects();
+                break;
+            case 'timer':
+                this.renderTimer();
+                break;
+            case 'calendar':
+                this.renderCalendar();
+                break;
+            case 'history':
+                this.renderHistory();
+                break;
+            case 'stats':
+                this.renderStats();
+                break;
+            case 'settings':
+                this.renderSettings();
+                break;
+        }
+    }
+
+    /**
+     * Open/Close modals
+     */
+    openModal(modalId) {
+        document.getElementById(modalId).classList.add('active');
+    }
+
+    closeModal(modalId) {
+        document.getElementById(modalId).classList.remove('active');
+    }
+
+    /**
+     * Subject modal operations
+     */
+    openSubjectModal(subjectId = null) {
+        this.app.state.editingSubjectId = subjectId;
+        const modal = document.getElementById('subject-modal');
+        const title = document.getElementById('subject-modal-title');
+        const nameInput = document.getElementById('subject-name');
+        const colorInput = document.getElementById('subject-color');
+        const colorHexInput = document.getElementById('subject-color-hex');
+        const dailyTargetInput = document.getElementById('subject-daily-target');
+        const weeklyTargetInput = document.getElementById('subject-weekly-target');
+
+        if (subjectId) {
+            const subject = this.app.state.getSubject(subjectId);
+            title.textContent = 'Edit Subject';
+            nameInput.value = subject.name;
+            colorInput.value = subject.color;
+            colorHexInput.value = subject.color;
+            dailyTargetInput.value = subject.dailyTargetMinutes || '';
+            weeklyTargetInput.value = subject.weeklyTargetMinutes || '';
+        } else {
+            title.textContent = 'Add Subject';
+            nameInput.value = '';
+            colorInput.value = '#6366f1';
+            colorHexInput.value = '#6366f1';
+            dailyTargetInput.value = '';
+            weeklyTargetInput.value = '';
+        }
+
+        this.openModal('subject-modal');
+        nameInput.focus();
+    }
+
+    async saveSubject() {
+        const name = document.getElementById('subject-name').value.trim();
+        const color = document.getElementById('subject-color').value;
+        const dailyTargetMinutes = parseInt(document.getElementById('subject-daily-target').value, 10) || 0;
+        const weeklyTargetMinutes = parseInt(document.getElementById('subject-weekly-target').value, 10) || 0;
+
+        if (!name) {
+            alert('Please enter a subject name');
+            return;
+        }
+
+        if (dailyTargetMinutes < 0 || weeklyTargetMinutes < 0) {
+            alert('Targets cannot be negative');
+            return;
+        }
+
+        const existing = this.app.state.editingSubjectId ?
+            this.app.state.getSubject(this.app.state.editingSubjectId) || null :
+            null;
+
+        const subjectData = {
+            ...existing,
+            id: this.app.state.editingSubjectId || this.app.state.generateId(),
+            name,
+            color,
+            dailyTargetMinutes,
+            weeklyTargetMinutes,
+            createdAt: existing ? existing.createdAt : Date.now()
+        };
+
+        await this.commitChanges(existing ? `Edited "${name}"` : `Added "${name}"`,
+            [{ store: 'subjects', before: existing, after: subjectData }]);
+        this.closeModal('subject-modal');
+    }
+
+    /**
+     * Task modal operations
+     */
+    openTaskModal(taskId = null, topicId = null) {
+        this.app.state.editingTaskId = taskId;
+        const modal = document.getElementById('task-modal');
+        const title = document.getElementById('task-modal-title');
+        const descInput = document.getElementById('task-description');
+        const task = taskId ? this.app.state.tasks.find(t => t.id === taskId) : null;
+
+        title.textContent = task ? 'Edit Task' : 'Add Task';
+        descInput.value = task ? task.description : '';
+        document.getElementById('task-due-date').value = task && task.dueDate ? task.dueDate : '';
+        document.getElementById('task-priority').value = task && task.priority ? task.priority : '';
+        document.getElementById('task-estimate').value = task && task.estimatedMinutes ? task.estimatedMinutes : '';
+        this.renderTopicOptions('task-topic', task ? task.subjectId : this.app.state.currentSubjectDetail,
+            task ? task.topicId : topicId);
+
+        document.getElementById('task-checklist').innerHTML = '';
+        (task && task.checklist ? task.checklist : []).forEach(item => this.addChecklistRow(item));
+
+        this.openModal('task-modal');
+        descInput.focus();
+    }
+
+    async saveTask() {
+        const description = document.getElementById('task-description').value.trim();
+
+        if (!description) {
+            alert('Please enter a task description');
+            return;
+        }
+
+        const estimatedMinutes = parseInt(document.getElementById('task-estimate').value, 10) || 0;
+        if (estimatedMinutes < 0) {
+            alert('Estimated minutes cannot be negative');
+            return;
+        }
+
+        const checklist = Array.from(document.querySelectorAll('#task-checklist .checklist-edit-row'))
+            .map(row => ({
+                id: row.dataset.id,
+                text: row.querySelector('input').value.trim(),
+                done: row.dataset.done === 'true'
+            }))
+            .filter(item => item.text);
+
+        const existing = this.app.state.editingTaskId ?
+            this.app.state.tasks.find(t => t.id === this.app.state.editingTaskId) || null :
+            null;
+
+        const taskData = {
+            ...existing,
+            id: existing ? existing.id : this.app.state.generateId(),
+            subjectId: existing ? existing.subjectId : this.app.state.currentSubjectDetail,
+            topicId: document.getElementById('task-topic').value || null,
+            description,
+            completed: existing ? existing.completed : false,
+            dueDate: document.getElementById('task-due-date').value || null,
+            priority: document.getElementById('task-priority').value,
+            estimatedMinutes,
+            checklist,
+            createdAt: existing ? existing.createdAt : Date.now()
+        };
+
+        await this.commitChanges(existing ? 'Edited task' : 'Added task',
+            [{ store: 'tasks', before: existing, after: taskData }]);
+        this.closeModal('task-modal');
+    }
+
+    addChecklistRow(item = null) {
+        const row = document.createElement('div');
+        row.className = 'checklist-edit-row';
+        row.dataset.id = item ? item.id : this.app.state.generateId();
+        row.dataset.done = item ? String(item.done) : 'false';
+        row.innerHTML = `
+            <input type="text" placeholder="Checklist item">
+            <button class="btn-task" title="Remove item">✕</button>
+        `;
+        row.querySelector('input').value = item ? item.text : '';
+        row.querySelector('button').addEventListener('click', () => row.remove());
+
+        document.getElementById('task-checklist').appendChild(row);
+        if (!item) row.querySelector('input').focus();
+    }
+
+    async toggleTask(taskId) {
+        const before = this.app.state.tasks.find(t => t.id === taskId);
+        const task = { ...before, completed: !before.completed };
+        task.completedAt = task.completed ? Date.now() : null;
+        if (task.completed) {
+            this.offerRevisions(task);
+        } else if (task.revisions) {
+            // A reopened task has nothing to revise yet; keep the revisions already done
+            task.revisions = task.revisions.filter(r => r.completedAt);
+        }
+        await this.commitChanges(task.completed ? 'Completed task' : 'Reopened task',
+            [{ store: 'tasks', before, after: task }]);
+    }
+
+    /**
+     * Spaced repetition: offer to schedule revisions for a task that was just completed
+     */
+    offerRevisions(task) {
+        const intervals = this.app.state.revisionIntervals.join(', ');
+        if (!confirm(`"${task.description}" done! Schedule revisions in ${intervals} days?`)) return;
+
+        const done = (task.revisions || []).filter(r => r.completedAt);
+        task.revisions = [...done, ...this.app.state.buildRevisionSchedule(this.app.state.getTodayString())];
+    }
+
+    async completeRevision(taskId, revisionId) {
+        const before = this.app.state.tasks.find(t => t.id === taskId);
+        const task = {
+            ...before,
+            revisions: before.revisions.map(r => (r.id === revisionId ? { ...r, completedAt: Date.now() } : r))
+        };
+        await this.commitChanges('Marked revision done', [{ store: 'tasks', before, after: task }]);
+    }
+
+    async toggleChecklistItem(taskId, itemId) {
+        const before = this.app.state.tasks.find(t => t.id === taskId);
+        const task = {
+            ...before,
+            checklist: before.checklist.map(i => (i.id === itemId ? { ...i, done: !i.done } : i))
+        };
+        await this.commitChanges('Updated checklist', [{ store: 'tasks', before, after: task }]);
+    }
+
+    async deleteTask(taskId) {
+        if (!confirm('Move this task to the trash?')) return;
+        const task = this.app.state.tasks.find(t => t.id === taskId);
+        await this.commitChanges('Task moved to trash',
+            this.app.state.buildTrashChanges('task', task.description, { tasks: [task] }));
+    }
+
+    /**
+     * Task details shown under the description (due date, priority, estimate, checklist progress)
+     */
+    renderTaskMeta(task, subject = null) {
+        const meta = [];
+        const today = this.app.state.getTodayString();
+
+        if (subject) {
+            meta.push(`
+                <span class="task-chip">
+                    <span class="subject-color-dot" style="background-color: ${subject.color}"></span>
+                    ${this.escapeHtml(subject.name)}
+                </span>
+            `);
+        }
+        if (task.dueDate) {
+            const overdue = !task.completed && task.dueDate < today;
+            meta.push(`<span class="task-chip ${overdue ? 'overdue' : ''}">📅 ${task.dueDate === today ? 'Today' : task.dueDate}</span>`);
+        }
+        if (task.priority) {
+            meta.push(`<span class="task-chip priority-${task.priority}">${task.priority}</span>`);
+        }
+        const spent = this.app.state.getTimeForTask(task.id);
+        if (task.estimatedMinutes) {
+            meta.push(`<span class="task-chip" title="Time spent / estimate">⏱ ${this.formatTime(spent)} / ${this.formatTime(task.estimatedMinutes * 60)}</span>`);
+        } else if (spent > 0) {
+            meta.push(`<span class="task-chip" title="Time spent">⏱ ${this.formatTime(spent)}</span>`);
+        }
+        if (task.checklist && task.checklist.length > 0) {
+            const done = task.checklist.filter(i => i.done).length;
+            meta.push(`<span class="task-chip">☑ ${done}/${task.checklist.length}</span>`);
+        }
+        if (task.revisions && task.revisions.length > 0) {
+            const done = task.revisions.filter(r => r.completedAt).length;
+            const next = task.revisions.find(r => !r.completedAt);
+            meta.push(`<span class="task-chip" title="Revisions done">🔁 ${done}/${task.revisions.length}${next ? ` · next ${next.dueDate}` : ''}</span>`);
+        }
+
+        return meta.length ? `<div class="task-meta">${meta.join('')}</div>` : '';
+    }
+
+    /**
+     * Goal modal operations
+     */
+    openGoalModal(goalId = null) {
+        this.app.state.editingGoalId = goalId;
+        const goal = goalId ? this.app.state.goals.find(g => g.id === goalId) : null;
+        const isFirstGoal = this.app.state.goals.length === 0;
+
+        document.getElementById('goal-modal-title').textContent = goal ? 'Edit Goal' : 'Add Goal';
+        document.getElementById('goal-name-input').value = goal ? goal.name : (isFirstGoal ? 'NEET-UG 2026' : '');
+        document.getElementById('goal-date').value = goal?.targetDate || '';
+        document.getElementById('goal-start-date').value = goal?.startDate || '';
+        document.getElementById('goal-primary').checked = goal ? goal.primary : isFirstGoal;
+        document.getElementById('delete-goal').classList.toggle('hidden', !goal);
+
+        const linkedIds = goal?.subjectIds || [];
+        const subjectList = document.getElementById('goal-subjects');
+        subjectList.innerHTML = this.app.state.subjects.length === 0 ?
+            '<div class="form-hint">No subjects yet</div>' :
+            this.app.state.subjects.map(s => `
+                <label class="radio-option">
+                    <input type="checkbox" value="${s.id}" ${linkedIds.includes(s.id) ? 'checked' : ''}>
+                    <span class="subject-color-dot" style="background-color: ${s.color}"></span>
+                    ${this.escapeHtml(s.name)}
+                </label>
+            `).join('');
+
+        this.openModal('goal-modal');
+    }
+
+    async saveGoal() {
+        const goalId = this.app.state.editingGoalId;
+        const name = document.getElementById('goal-name-input').value.trim();
+        const targetDate = document.getElementById('goal-date').value;
+        const startDate = document.getElementById('goal-start-date').value;
+        const subjectIds = [...document.querySelectorAll('#goal-subjects input:checked')].map(input => input.value);
+        const otherGoals = this.app.state.goals.filter(g => g.id !== goalId);
+        // The only goal is always the primary one
+        const primary = document.getElementById('goal-primary').checked || otherGoals.length === 0;
+
+        if (!name || !targetDate) {
+            alert('Please enter goal name and target date');
+            return;
+        }
+
+        const existing = goalId ? this.app.state.goals.find(g => g.id === goalId) || null : null;
+        const goalData = {
+            ...existing,
+            id: goalId || this.app.state.generateId(),
+            name,
+            targetDate,
+            startDate: startDate || this.app.state.getTodayString(),
+            subjectIds,
+            primary,
+            createdAt: existing ? existing.createdAt : Date.now()
+        };
+
+        const changes = [{ store: 'goals', before: existing, after: goalData }];
+
+        // Only one goal can be primary
+        if (primary) {
+            otherGoals.filter(g => g.primary).forEach(goal => {
+                changes.push({ store: 'goals', before: goal, after: { ...goal, primary: false } });
+            });
+        } else if (!otherGoals.some(g => g.primary)) {
+            changes.push(...this.promoteGoalChanges(goalData.id));
+        }
+
+        await this.commitChanges(existing ? `Edited "${name}"` : `Added "${name}"`, changes);
+        this.closeModal('goal-modal');
+    }
+
+    async deleteGoal(goalId = this.app.state.editingGoalId) {
+        const goal = this.app.state.goals.find(g => g.id === goalId);
+        if (!goal || !confirm(`Delete the goal "${goal.name}"?`)) return;
+
+        const changes = [{ store: 'goals', before: goal, after: null }];
+        if (goal.primary) {
+            changes.push(...this.promoteGoalChanges(goalId));
+        }
+
+        await this.commitChanges(`Deleted "${goal.name}"`, changes);
+        this.closeModal('goal-modal');
+    }
+
+    async setPrimaryGoal(goalId) {
+        const changes = this.app.state.goals
+            .filter(goal => goal.primary !== (goal.id === goalId))
+            .map(goal => ({ store: 'goals', before: goal, after: { ...goal, primary: goal.id === goalId } }));
+        await this.commitChanges('Changed primary goal', changes);
+    }
+
+    /**
+     * Ensure exactly one goal is primary (merged backups can bring their own)
+     */
+    async normalizePrimaryGoal() {
+        const primaries = this.app.state.goals.filter(g => g.primary);
+        if (primaries.length === 1 || this.app.state.goals.length === 0) return;
+
+        if (primaries.length === 0) {
+            await this.writeChanges(this.promoteGoalChanges(null));
+        } else {
+            const keep = primaries.sort((a, b) => a.createdAt - b.createdAt)[0];
+            await this.writeChanges(primaries
+                .filter(g => g.id !== keep.id)
+                .map(goal => ({ store: 'goals', before: goal, after: { ...goal, primary: false } })));
+        }
+    }
+
+    /**
+     * Make the goal with the nearest target date primary
+     */
+    promoteGoalChanges(excludeId) {
+        const next = this.app.state.getSortedGoals()
+            .filter(g => g.id !== excludeId)
+            .sort((a, b) => a.targetDate.localeCompare(b.targetDate))[0];
+        return next ? [{ store: 'goals', before: next, after: { ...next, primary: true } }] : [];
+    }
+
+    /**
+     * Session modal operations
+     */
+    openSessionModal(sessionId = null, dateString = null) {
+        if (this.app.state.subjects.length === 0) {
+            alert('Please add a subject first');
+            return;
+        }
+
+        this.app.state.editingSessionId = sessionId;
+        const session = sessionId ?
+            this.app.state.sessions.find(s => s.id === sessionId) :
+            {
+                subjectId: this.app.state.timerState.subjectId || this.app.state.subjects[0].id,
+                date: dateString || this.app.state.getTodayString()
+            };
+
+        document.getElementById('session-modal-title').textContent = sessionId ? 'Edit Session' : 'Add Session';
+        
+        // Populate subject dropdown
+        const subjectSelect = document.getElementById('session-subject');
+        subjectSelect.innerHTML = this.app.state.subjects
+            .map(s => `<option value="${s.id}" ${s.id === session.subjectId ? 'selected' : ''}>${this.escapeHtml(s.name)}</option>`)
+            .join('');
+
+        this.renderSessionTaskOptions(session.subjectId, session.taskId, session.topicId);
+
+        document.getElementById('session-date').value = session.date;
+        document.getElementById('session-start').value = sessionId ? this.app.state.formatClock(session.startedAt) : '';
+        document.getElementById('session-end').value = sessionId ? this.app.state.formatClock(session.endedAt) : '';
+        this.updateSessionOvernightHint();
+        this.fillSessionDetails('session', session);
+
+        this.openModal('session-modal');
+    }
+
+    /**
+     * Notes, focus rating and tags fields, shared by the session modal ('session')
+     * and the prompt shown after the timer saves a session ('review')
+     */
+    fillSessionDetails(prefix, session) {
+        document.getElementById(`${prefix}-notes`).value = session.notes || '';
+        document.getElementById(`${prefix}-focus`).value = session.focus || '';
+        document.getElementById(`${prefix}-tags`).value = (session.tags || []).join(', ');
+        this.renderTagSuggestions(prefix);
+    }
+
+    readSessionDetails(prefix) {
+        return {
+            notes: document.getElementById(`${prefix}-notes`).value.trim(),
+            focus: parseInt(document.getElementById(`${prefix}-focus`).value, 10) || null,
+            tags: this.app.state.parseTags(document.getElementById(`${prefix}-tags`).value)
+        };
+    }
+
+    renderTagSuggestions(prefix) {
+        const current = this.app.state.parseTags(document.getElementById(`${prefix}-tags`).value);
+        const tags = [...new Set([...this.app.state.getAllTags(), ...this.app.state.defaultTags])]
+            .filter(tag => !current.includes(tag));
+
+        document.getElementById(`${prefix}-tag-suggestions`).innerHTML = tags
+            .map(tag => `<button type="button" class="task-chip tag-chip" data-tag="${this.escapeHtml(tag)}">+ ${this.escapeHtml(tag)}</button>`)
+            .join('');
+    }
+
+    addSuggestedTag(prefix, tag) {
+        const input = document.getElementById(`${prefix}-tags`);
+        input.value = [...this.app.state.parseTags(input.value), tag].join(', ');
+        this.renderTagSuggestions(prefix);
+    }
+
+    /**
+     * Ask for notes, focus and tags right after the timer saves a session
+     */
+    openSessionReview(sessionId) {
+        const session = this.app.state.sessions.find(s => s.id === sessionId);
+        if (!session) return;
+
+        const subject = this.app.state.getSubject(session.subjectId);
+        this.app.state.reviewSessionId = sessionId;
+        document.getElementById('review-summary').textContent =
+            `${subject ? subject.name : 'Session'} • ${this.formatSessionRange(session)} • ${this.formatTime(session.duration)}`;
+        this.fillSessionDetails('review', session);
+        this.openModal('review-modal');
+    }
+
+    async saveSessionReview() {
+        const session = this.app.state.sessions.find(s => s.id === this.app.state.reviewSessionId);
+        if (session) {
+            await this.commitChanges('Saved session details',
+                [{ store: 'sessions', before: session, after: { ...session, ...this.readSessionDetails('review') } }]);
+        }
+        this.app.state.reviewSessionId = null;
+        this.closeModal('review-modal');
+    }
+
+    renderSessionTaskOptions(subjectId, taskId = null, topicId = null) {
+        this.renderTopicOptions('session-topic', subjectId, topicId);
+
+        const select = document.getElementById('session-task');
+        select.innerHTML = '<option value="">No specific task</option>' +
+            this.app.state.getTasksForSubject(subjectId)
+                .map(t => `<option value="${t.id}">${this.escapeHtml(t.description)}</option>`)
+                .join('');
+        select.value = taskId || '';
+    }
+
+    /**
+     * Fill a topic dropdown with a subject's topics
+     */
+    renderTopicOptions(selectId, subjectId, topicId = null) {
+        const select = document.getElementById(selectId);
+        select.innerHTML = '<option value="">No topic</option>' +
+            this.app.state.getTopicsForSubject(subjectId)
+                .map(t => `<option value="${t.id}">${this.escapeHtml(t.name)}</option>`)
+                .join('');
+        select.value = topicId || '';
+    }
+
+    updateSessionOvernightHint() {
+        const startTime = document.getElementById('session-start').value;
+        const endTime = document.getElementById('session-end').value;
+        const date = document.getElementById('session-date').value || this.app.state.getTodayString();
+        const overnight = startTime && endTime &&
+            this.app.state.getStudyTimestamp(date, endTime) < this.app.state.getStudyTimestamp(date, startTime);
+        document.getElementById('session-overnight-hint').classList.toggle('hidden', !overnight);
+    }
+
+    async saveSession() {
+        const sessionId = this.app.state.editingSessionId;
+        const subjectId = document.getElementById('session-subject').value;
+        const date = document.getElementById('session-date').value;
+        const startTime = document.getElementById('session-start').value;
+        const endTime = document.getElementById('session-end').value;
+
+        if (!subjectId || !date || !startTime || !endTime) {
+            alert('Please fill all fields');
+            return;
+        }
 
-        // Subject detail modal
-        document.getElementById('close-subject-detail').addEventListener('click', () => this.closeModal('subject-detail-modal'));
-        document.getElementById('edit-subject-btn').addEventListener('click', () => this.editCurrentSubject());
-        document.getElementById('delete-subject-btn').addEventListener('click', () => this.deleteCurrentSubject());
-        document.getElementById('add-task-btn').addEventListener('click', () => this.openTaskModal());
+        if (startTime === endTime) {
+            alert('End time must be different from start time');
+            return;
+        }
 
-        // Timer controls
-        document.getElementById('timer-subject').addEventListener('change', (e) => this.onTimerSubjectChange(e));
-        document.getElementById('start-timer').addEventListener('click', () => this.startTimer());
-        document.getElementById('pause-timer').addEventListener('click', () => this.pauseTimer());
-        document.getElementById('reset-timer').addEventListener('click', () => this.resetTimer());
+        // An end time before the start time means the session ran into the next day
+        const start = new Date(this.app.state.getStudyTimestamp(date, startTime));
+        const end = new Date(this.app.state.getStudyTimestamp(date, endTime));
+        if (end < start) {
+            end.setDate(end.getDate() + 1);
+        }
+        const duration = Math.floor((end - start) / 1000);
 
-        // Calendar navigation
-        document.getElementById('prev-month').addEventListener('click', () => this.changeMonth(-1));
-        document.getElementById('next-month').addEventListener('click', () => this.changeMonth(1));
+        const overlapping = this.app.state.findOverlappingSession(start.getTime(), end.getTime(), sessionId);
+        if (overlapping) {
+            const subject = this.app.state.getSubject(overlapping.subjectId);
+            alert(`This session overlaps with ${subject ? subject.name : 'another session'} ` +
+                `(${this.formatSessionRange(overlapping)})`);
+            return;
+        }
 
-        // History filter
-        document.getElementById('history-filter').addEventListener('change', () => this.renderHistory());
+        const existing = sessionId ? this.app.state.sessions.find(s => s.id === sessionId) || null : null;
+        const sessionData = {
+            ...existing,
+            id: sessionId || this.app.state.generateId(),
+            subjectId,
+            taskId: document.getElementById('session-task').value || null,
+            topicId: document.getElementById('session-topic').value || null,
+            date,
+            startedAt: start.getTime(),
+            endedAt: end.getTime(),
+            duration,
+            ...this.readSessionDetails('session')
+        };
 
-        // Stats period
-        document.querySelectorAll('.period-btn').forEach(btn => {
-            btn.addEventListener('click', () => {
-                this.app.state.statsPeriod = btn.dataset.period;
-                document.querySelectorAll('.period-btn').forEach(b => b.classList.remove('active'));
-                btn.classList.add('active');
-                this.renderStats();
-            });
-        });
+        await this.commitChanges(existing ? 'Edited session' : 'Added session',
+            [{ store: 'sessions', before: existing, after: sessionData }]);
+        this.closeModal('session-modal');
+    }
 
-        // Modal backdrop click
-        document.querySelectorAll('.modal').forEach(modal => {
-            modal.addEventListener('click', (e) => {
-                if (e.target === modal) {
-                    this.closeModal(modal.id);
-                }
-            });
-        });
+    async deleteSession(sessionId) {
+        if (!confirm('Move this session to the trash?')) return;
+        const session = this.app.state.sessions.find(s => s.id === sessionId);
+        await this.commitChanges('Session moved to trash',
+            this.app.state.buildTrashChanges('session', this.describeSession(session), { sessions: [session] }));
     }
 
     /**
-     * Switch between views
+     * Subject detail modal
      */
-    switchView(viewName) {
-        this.app.state.currentView = viewName;
+    openSubjectDetail(subjectId) {
+        this.app.state.currentSubjectDetail = subjectId;
+        this.renderSubjectDetail(subjectId);
+        this.openModal('subject-detail-modal');
+    }
 
-        // Update nav buttons
-        document.querySelectorAll('.nav-btn').forEach(btn => {
-            btn.classList.toggle('active', btn.dataset.view === viewName);
-        });
+    renderSubjectDetail(subjectId) {
+        const subject = this.app.state.getSubject(subjectId);
+        if (!subject) return;
 
-        // Update views
-        document.querySelectorAll('.view').forEach(view => {
-            view.classList.remove('active');
-        });
-        document.getElementById(`${viewName}-view`).classList.add('active');
+        document.getElementById('subject-detail-name').textContent = subject.name;
 
-        // Render view-specific content
-        switch (viewName) {
-            case 'dashboard':
-                this.renderDashboard();
-                break;
-            case 'subjects':
-                this.renderSubjects();
-                break;
-            case 'timer':
-                this.renderTimer();
-                break;
-            case 'calendar':
-                this.renderCalendar();
-                break;
-            case 'history':
-                this.renderHistory();
-                break;
-            case 'stats':
-                this.renderStats();
-                break;
+        const totalTime = this.app.state.getTotalTimeForSubject(subjectId);
+        const sessions = this.app.state.getSessionsForSubject(subjectId);
+        
+        document.getElementById('subject-total-time').textContent = this.formatTime(totalTime);
+        document.getElementById('subject-session-count').textContent = sessions.length;
+        document.getElementById('subject-targets').innerHTML = this.renderSubjectTargets(subject) ||
+            '<div class="empty-state-text">No targets set. Edit the subject to add daily or weekly targets.</div>';
+
+        const syllabus = this.app.state.getSyllabusProgress(subjectId);
+        document.getElementById('subject-syllabus').textContent = syllabus.total ?
+            `${syllabus.percent}% (${syllabus.completed}/${syllabus.total} topics)` :
+            'No topics yet';
+
+        // Render the topic tree with each topic's tasks, then tasks without a topic
+        const topics = this.app.state.getTopicsForSubject(subjectId);
+        const tasks = this.app.state.getTasksForSubject(subjectId);
+        const tasksList = document.getElementById('tasks-list');
+
+        if (topics.length === 0 && tasks.length === 0) {
+            tasksList.innerHTML = '<div class="empty-state-text">No topics or tasks yet</div>';
+            return;
         }
-    }
 
-    /**
-     * Open/Close modals
-     */
-    openModal(modalId) {
-        document.getElementById(modalId).classList.add('active');
+        const topicIds = new Set(topics.map(t => t.id));
+        const looseTasks = tasks.filter(t => !topicIds.has(t.topicId));
+
+        tasksList.innerHTML = topics.map(topic => {
+            const topicTasks = tasks.filter(t => t.topicId === topic.id);
+            const doneTasks = topicTasks.filter(t => t.completed).length;
+            return `
+                <details class="topic-node ${topic.completed ? 'completed' : ''}" open>
+                    <summary class="topic-header">
+                        <input type="checkbox" class="task-checkbox" title="Mark topic as covered"
+                               ${topic.completed ? 'checked' : ''}
+                               onchange="app.ui.toggleTopic('${topic.id}')">
+                        <span class="topic-name">${this.escapeHtml(topic.name)}</span>
+                        <span class="topic-meta">
+                            ${this.formatTime(this.app.state.getTimeForTopic(topic.id))} · ${doneTasks}/${topicTasks.length} tasks
+                        </span>
+                        <div class="task-actions">
+                            <button class="btn-task" title="Add task to topic" onclick="app.ui.openTaskModal(null, '${topic.id}')">➕</button>
+                            <button class="btn-task" onclick="app.ui.openTopicModal('${topic.id}')">✏️</button>
+                            <button class="btn-task" onclick="app.ui.deleteTopic('${topic.id}')">🗑️</button>
+                        </div>
+                    </summary>
+                    <div class="topic-tasks">
+                        ${topicTasks.length ?
+                            topicTasks.map(task => this.renderTaskItem(task)).join('') :
+                            '<div class="empty-state-text">No tasks in this topic</div>'}
+                    </div>
+                </details>
+            `;
+        }).join('') + (looseTasks.length ? `
+            <details class="topic-node" open>
+                <summary class="topic-header">
+                    <span class="topic-name">${topics.length ? 'Other tasks' : 'Tasks'}</span>
+                </summary>
+                <div class="topic-tasks">
+                    ${looseTasks.map(task => this.renderTaskItem(task)).join('')}
+                </div>
+            </details>
+        ` : '');
     }
 
-    closeModal(modalId) {
-        document.getElementById(modalId).classList.remove('active');
+    renderTaskItem(task) {
+        return `
+            <div class="task-item ${task.completed ? 'completed' : ''}">
+                <input type="checkbox" class="task-checkbox" 
+                       ${task.completed ? 'checked' : ''}
+                       onchange="app.ui.toggleTask('${task.id}')">
+                <div class="task-body">
+                    <span class="task-text">${this.escapeHtml(task.description)}</span>
+                    ${this.renderTaskMeta(task)}
+                    ${task.checklist && task.checklist.length > 0 ? `
+                        <div class="task-checklist">
+                            ${task.checklist.map(item => `
+                                <label class="checklist-item ${item.done ? 'done' : ''}">
+                                    <input type="checkbox" ${item.done ? 'checked' : ''}
+                                           onchange="app.ui.toggleChecklistItem('${task.id}', '${item.id}')">
+                                    ${this.escapeHtml(item.text)}
+                                </label>
+                            `).join('')}
+                        </div>
+                    ` : ''}
+                </div>
+                <div class="task-actions">
+                    <button class="btn-task" onclick="app.ui.openTaskModal('${task.id}')">✏️</button>
+                    <button class="btn-task" onclick="app.ui.deleteTask('${task.id}')">🗑️</button>
+                </div>
+            </div>
+        `;
     }
 
     /**
-     * Subject modal operations
+     * Topic modal operations
      */
-    openSubjectModal(subjectId = null) {
-        this.app.state.editingSubjectId = subjectId;
-        const modal = document.getElementById('subject-modal');
-        const title = document.getElementById('subject-modal-title');
-        const nameInput = document.getElementById('subject-name');
-        const colorInput = document.getElementById('subject-color');
-        const colorHexInput = document.getElementById('subject-color-hex');
+    openTopicModal(topicId = null) {
+        this.app.state.editingTopicId = topicId;
+        const topic = topicId ? this.app.state.getTopic(topicId) : null;
+        const nameInput = document.getElementById('topic-name');
 
-        if (subjectId) {
-            const subject = this.app.state.getSubject(subjectId);
-            title.textContent = 'Edit Subject';
-            nameInput.value = subject.name;
-            colorInput.value = subject.color;
-            colorHexInput.value = subject.color;
-        } else {
-            title.textContent = 'Add Subject';
-            nameInput.value = '';
-            colorInput.value = '#6366f1';
-            colorHexInput.value = '#6366f1';
-        }
+        document.getElementById('topic-modal-title').textContent = topic ? 'Edit Topic' : 'Add Topic';
+        nameInput.value = topic ? topic.name : '';
 
-        this.openModal('subject-modal');
+        this.openModal('topic-modal');
         nameInput.focus();
     }
 
-    async saveSubject() {
-        const name = document.getElementById('subject-name').value.trim();
-        const color = document.getElementById('subject-color').value;
+    async saveTopic() {
+        const name = document.getElementById('topic-name').value.trim();
 
         if (!name) {
-            alert('Please enter a subject name');
+            alert('Please enter a topic name');
             return;
         }
 
-        const subjectData = {
-            id: this.app.state.editingSubjectId || this.app.state.generateId(),
+        const existing = this.app.state.editingTopicId ?
+            this.app.state.getTopic(this.app.state.editingTopicId) || null :
+            null;
+
+        const topicData = {
+            ...existing,
+            id: existing ? existing.id : this.app.state.generateId(),
+            subjectId: existing ? existing.subjectId : this.app.state.currentSubjectDetail,
             name,
-            color,
-            createdAt: this.app.state.editingSubjectId ? 
-                this.app.state.getSubject(this.app.state.editingSubjectId).createdAt : 
-                Date.now()
+            completed: existing ? existing.completed : false,
+            createdAt: existing ? existing.createdAt : Date.now()
         };
 
-        await this.app.dataStore.save('subjects', subjectData);
-        await this.app.loadData();
-        this.closeModal('subject-modal');
-        this.renderSubjects();
-        this.renderDashboard();
+        await this.commitChanges(existing ? `Edited "${name}"` : `Added "${name}"`,
+            [{ store: 'topics', before: existing, after: topicData }]);
+        this.closeModal('topic-modal');
+    }
+
+    async toggleTopic(topicId) {
+        const before = this.app.state.getTopic(topicId);
+        const topic = { ...before, completed: !before.completed };
+        await this.commitChanges(topic.completed ? `Completed "${topic.name}"` : `Reopened "${topic.name}"`,
+            [{ store: 'topics', before, after: topic }]);
+    }
+
+    async deleteTopic(topicId) {
+        if (!confirm('Delete this topic? Its tasks and sessions are kept without a topic.')) return;
+
+        const topic = this.app.state.getTopic(topicId);
+        const changes = [
+            ...this.app.state.tasks.filter(t => t.topicId === topicId)
+                .map(task => ({ store: 'tasks', before: task, after: { ...task, topicId: null } })),
+            ...this.app.state.sessions.filter(s => s.topicId === topicId)
+                .map(session => ({ store: 'sessions', before: session, after: { ...session, topicId: null } })),
+            { store: 'topics', before: topic, after: null }
+        ];
+
+        await this.commitChanges(`Deleted "${topic.name}"`, changes);
+    }
+
+    editCurrentSubject() {
+        this.closeModal('subject-detail-modal');
+        this.openSubjectModal(this.app.state.currentSubjectDetail);
+    }
+
+    async deleteCurrentSubject() {
+        if (!confirm('Move this subject and all its data to the trash?')) return;
+        
+        const subjectId = this.app.state.currentSubjectDetail;
+        const subject = this.app.state.getSubject(subjectId);
+
+        // The subject goes to the trash together with its topics, tasks and sessions
+        await this.commitChanges(`"${subject.name}" moved to trash`,
+            this.app.state.buildTrashChanges('subject', subject.name, {
+                subjects: [subject],
+                topics: this.app.state.getTopicsForSubject(subjectId),
+                tasks: this.app.state.getTasksForSubject(subjectId),
+                sessions: this.app.state.getSessionsForSubject(subjectId)
+            }));
     }
 
     /**
-     * Task modal operations
+     * Undo/redo. Every edit or delete is recorded as a list of
+     * { store, before, after } record changes (null = no record), so it can be
+     * reverted and re-applied.
      */
-    openTaskModal(taskId = null) {
-        this.app.state.editingTaskId = taskId;
-        const modal = document.getElementById('task-modal');
-        const title = document.getElementById('task-modal-title');
-        const descInput = document.getElementById('task-description');
+    async commitChanges(label, changes) {
+        await this.writeChanges(changes);
 
-        if (taskId) {
-            const task = this.app.state.tasks.find(t => t.id === taskId);
-            title.textContent = 'Edit Task';
-            descInput.value = task.description;
-        } else {
-            title.textContent = 'Add Task';
-            descInput.value = '';
+        const history = this.app.state.editHistory;
+        history.undo.push({ label, changes });
+        if (history.undo.length > history.limit) {
+            history.undo.shift();
         }
+        history.redo = [];
 
-        this.openModal('task-modal');
-        descInput.focus();
+        this.showUndoToast(label);
     }
 
-    async saveTask() {
-        const description = document.getElementById('task-description').value.trim();
+    async undo() {
+        const history = this.app.state.editHistory;
+        const entry = history.undo.pop();
+        if (!entry) return;
 
-        if (!description) {
-            alert('Please enter a task description');
-            return;
+        await this.writeChanges(entry.changes, 'before');
+        history.redo.push(entry);
+        this.showUndoToast(`Undone: ${entry.label}`);
+    }
+
+    async redo() {
+        const history = this.app.state.editHistory;
+        const entry = history.redo.pop();
+        if (!entry) return;
+
+        await this.writeChanges(entry.changes);
+        history.undo.push(entry);
+        this.showUndoToast(`Redone: ${entry.label}`);
+    }
+
+    /**
+     * Save record changes and apply them to the in-memory state. Views
+     * re-render through onStateChange; other tabs get the same changes.
+     */
+    async writeChanges(changes, side = 'after') {
+        await this.app.dataStore.applyChanges(changes, side);
+        this.app.state.applyChanges(changes, side);
+        if (changes.length > 0) {
+            this.app.sync.post({ type: 'changes', changes, side });
         }
+    }
 
-        const taskData = {
-            id: this.app.state.editingTaskId || this.app.state.generateId(),
-            subjectId: this.app.state.currentSubjectDetail,
-            description,
-            completed: this.app.state.editingTaskId ? 
-                this.app.state.tasks.find(t => t.id === this.app.state.editingTaskId).completed : 
-                false,
-            createdAt: this.app.state.editingTaskId ? 
-                this.app.state.tasks.find(t => t.id === this.app.state.editingTaskId).createdAt : 
-                Date.now()
+    /**
+     * Changes another tab already saved. Local undo steps touching the same
+     * records would restore outdated copies, so they are dropped.
+     */
+    applyRemoteChanges(changes, side) {
+        const recordKey = (change) => {
+            const record = change.after || change.before;
+            return `${change.store}:${record.id || record.key}`;
         };
+        const touched = new Set(changes.map(recordKey));
+        const history = this.app.state.editHistory;
+        const stale = (item) => item.changes.some(change => touched.has(recordKey(change)));
+
+        if ([...history.undo, ...history.redo].some(stale)) {
+            history.undo = history.undo.filter(item => !stale(item));
+            history.redo = history.redo.filter(item => !stale(item));
+            this.hideUndoToast();
+        }
 
-        await this.app.dataStore.save('tasks', taskData);
-        await this.app.loadData();
-        this.closeModal('task-modal');
-        this.renderSubjectDetail(this.app.state.currentSubjectDetail);
+        this.app.state.applyChanges(changes, side);
+
+        // An idle timer follows the mode chosen in the other tab
+        if (!this.isTimerActive()) {
+            this.app.state.timerState.mode = this.app.state.timerConfig.mode;
+        }
     }
 
-    async toggleTask(taskId) {
-        const task = this.app.state.tasks.find(t => t.id === taskId);
-        task.completed = !task.completed;
-        await this.app.dataStore.save('tasks', task);
-        await this.app.loadData();
-        this.renderSubjectDetail(this.app.state.currentSubjectDetail);
-        this.renderDashboard();
+    showUndoToast(message) {
+        const history = this.app.state.editHistory;
+        document.getElementById('undo-toast-message').textContent = message;
+        document.getElementById('undo-toast-undo').classList.toggle('hidden', history.undo.length === 0);
+        document.getElementById('undo-toast-redo').classList.toggle('hidden', history.redo.length === 0);
+        document.getElementById('undo-toast').classList.remove('hidden');
+
+        clearTimeout(this.undoToastTimeout);
+        this.undoToastTimeout = setTimeout(() => this.hideUndoToast(), 8000);
     }
 
-    async deleteTask(taskId) {
-        if (!confirm('Delete this task?')) return;
-        await this.app.dataStore.delete('tasks', taskId);
-        await this.app.loadData();
-        this.renderSubjectDetail(this.app.state.currentSubjectDetail);
+    hideUndoToast() {
+        clearTimeout(this.undoToastTimeout);
+        document.getElementById('undo-toast').classList.add('hidden');
     }
 
     /**
-     * Goal modal operations
+     * Re-render whatever is on screen and reads one of the changed stores,
+     * keeping the scroll position and History's loaded pages
      */
-    openGoalModal() {
-        const goal = this.app.state.goal;
-        document.getElementById('goal-name-input').value = goal?.name || 'NEET-UG 2026';
-        document.getElementById('goal-date').value = goal?.targetDate || '';
-        document.getElementById('goal-start-date').value = goal?.startDate || '';
-        this.openModal('goal-modal');
+    onStateChange(changed) {
+        const reads = (storeNames) => storeNames.some(name => changed.has(name));
+        const only = (storeName) => changed.size === 1 && changed.has(storeName);
+        const view = this.app.state.currentView;
+
+        if (reads(this.viewStores[view])) {
+            const scrollY = window.scrollY;
+            if (view === 'history') {
+                this.renderHistory(true);
+            } else if (view === 'settings' && only('trash')) {
+                this.renderTrash();
+            } else if (view === 'dashboard' && only('goals')) {
+                this.renderGoals();
+            } else {
+                this.renderView(view);
+            }
+            window.scrollTo(0, scrollY);
+        }
+
+        if (document.getElementById('subject-detail-modal').classList.contains('active') &&
+            reads(['subjects', 'topics', 'tasks', 'sessions', 'settings'])) {
+            if (this.app.state.getSubject(this.app.state.currentSubjectDetail)) {
+                this.renderSubjectDetail(this.app.state.currentSubjectDetail);
+            } else {
+                this.closeModal('subject-detail-modal');
+            }
+        }
     }
 
-    async saveGoal() {
-        const name = document.getElementById('goal-name-input').value.trim();
-        const targetDate = document.getElementById('goal-date').value;
-        const startDate = document.getElementById('goal-start-date').value;
+    /**
+     * Trash
+     */
+    describeSession(session) {
+        const subject = this.app.state.getSubject(session.subjectId);
+        const date = this.app.state.formatDisplayDate(session.date, { month: 'short', day: 'numeric', year: 'numeric' });
+        return `${subject ? subject.name : 'Session'} • ${date} • ${this.formatTime(session.duration)}`;
+    }
 
-        if (!name || !targetDate) {
-            alert('Please enter goal name and target date');
+    renderTrash() {
+        const container = document.getElementById('trash-list');
+        const entries = [...this.app.state.trash].sort((a, b) => b.deletedAt - a.deletedAt);
+        document.getElementById('empty-trash').disabled = entries.length === 0;
+
+        if (entries.length === 0) {
+            container.innerHTML = '<div class="empty-state-text">The trash is empty</div>';
             return;
         }
 
-        const goalData = {
-            key: 'goal',
-            name,
-            targetDate,
-            startDate: startDate || this.app.state.formatDate(new Date())
-        };
+        const icons = { subject: '📚', task: '✅', session: '⏱️' };
+        const count = (list, noun) => (list && list.length ? `${list.length} ${noun}${list.length === 1 ? '' : 's'}` : '');
 
-        await this.app.dataStore.save('settings', goalData);
-        await this.app.loadData();
-        this.closeModal('goal-modal');
-        this.renderGoal();
+        container.innerHTML = entries.map(entry => {
+            const contents = entry.type === 'subject' ?
+                [count(entry.records.topics, 'topic'), count(entry.records.tasks, 'task'), count(entry.records.sessions, 'session')]
+                    .filter(Boolean).join(', ') :
+                '';
+            const deleted = new Date(entry.deletedAt).toLocaleDateString('en-US', { month: 'short', day: 'numeric' });
+
+            return `
+                <div class="trash-item">
+                    <div class="trash-item-info">
+                        <div class="trash-item-name">${icons[entry.type]} ${this.escapeHtml(entry.name)}</div>
+                        <div class="trash-item-details">
+                            Deleted ${deleted}${contents ? ` • with ${contents}` : ''}
+                        </div>
+                    </div>
+                    <div class="history-item-actions">
+                        <button class="btn-small" onclick="app.ui.restoreFromTrash('${entry.id}')">Restore</button>
+                        <button class="btn-task" title="Delete forever" onclick="app.ui.deleteFromTrash('${entry.id}')">🗑️</button>
+                    </div>
+                </div>
+            `;
+        }).join('');
     }
 
-    async resetGoal() {
-        if (!confirm('Reset goal to default?')) return;
-        await this.app.dataStore.delete('settings', 'goal');
-        await this.app.loadData();
-        this.closeModal('goal-modal');
-        this.renderGoal();
+    async restoreFromTrash(entryId) {
+        const state = this.app.state;
+        const entry = state.findRecord('trash', entryId);
+        if (!entry) return;
+
+        const { records } = entry;
+        const ids = (storeName) => new Set([...state[storeName], ...(records[storeName] || [])].map(r => r.id));
+        const subjectIds = ids('subjects');
+        const topicIds = ids('topics');
+        const taskIds = ids('tasks');
+
+        // Tasks and sessions need their subject back first
+        if ([...(records.tasks || []), ...(records.sessions || [])].some(r => !subjectIds.has(r.subjectId))) {
+            alert('The subject of this item was deleted too. Restore the subject first.');
+            return;
+        }
+
+        const changes = [];
+        Object.entries(records).forEach(([storeName, list]) => {
+            list.forEach(record => {
+                const restored = { ...record };
+                // Drop links to topics and tasks that no longer exist
+                if (restored.topicId && !topicIds.has(restored.topicId)) restored.topicId = null;
+                if (restored.taskId && !taskIds.has(restored.taskId)) restored.taskId = null;
+                changes.push({ store: storeName, before: state.findRecord(storeName, record.id) || null, after: restored });
+            });
+        });
+        changes.push({ store: 'trash', before: entry, after: null });
+
+        await this.commitChanges(`Restored "${entry.name}"`, changes);
+    }
+
+    async deleteFromTrash(entryId) {
+        const entry = this.app.state.findRecord('trash', entryId);
+        if (!entry || !confirm(`Delete "${entry.name}" forever? This cannot be undone.`)) return;
+
+        this.forgetTrashEntries([entryId]);
+        await this.writeChanges([{ store: 'trash', before: entry, after: null }]);
+    }
+
+    async emptyTrash() {
+        if (!confirm('Delete everything in the trash forever? This cannot be undone.')) return;
+
+        const entries = [...this.app.state.trash];
+        this.forgetTrashEntries(entries.map(entry => entry.id));
+        await this.writeChanges(entries.map(entry => ({ store: 'trash', before: entry, after: null })));
     }
 
     /**
-     * Session modal operations
+     * Permanently deleted trash entries can no longer be undone or redone
      */
-    openSessionModal(sessionId) {
-        this.app.state.editingSessionId = sessionId;
-        const session = this.app.state.sessions.find(s => s.id === sessionId);
-        
-        // Populate subject dropdown
-        const subjectSelect = document.getElementById('session-subject');
-        subjectSelect.innerHTML = this.app.state.subjects
-            .map(s => `<option value="${s.id}" ${s.id === session.subjectId ? 'selected' : ''}>${s.name}</option>`)
-            .join('');
+    forgetTrashEntries(entryIds) {
+        const history = this.app.state.editHistory;
+        const touches = (item) => item.changes.some(change => change.store === 'trash' &&
+            entryIds.includes((change.after || change.before).id));
+        history.undo = history.undo.filter(item => !touches(item));
+        history.redo = history.redo.filter(item => !touches(item));
+    }
 
-        document.getElementById('session-date').value = session.date;
-        document.getElementById('session-start').value = session.startTime;
-        document.getElementById('session-end').value = session.endTime;
+    /**
+     * Backup & restore
+     */
+    async exportBackup() {
+        const backup = await this.app.dataStore.exportBackup();
+        const fileName = `studyflow-backup-${this.app.state.getTodayString()}.json`;
+        this.downloadFile(fileName, JSON.stringify(backup, null, 2), 'application/json');
+    }
 
-        this.openModal('session-modal');
+    /**
+     * The backup saved automatically before the last database upgrade
+     */
+    async renderMigrationBackup() {
+        const saved = await this.app.dataStore.get('settings', 'preMigrationBackup');
+        document.getElementById('migration-backup').classList.toggle('hidden', !saved);
+        if (!saved) return;
+
+        const date = new Date(saved.createdAt).toLocaleDateString('en-US', { month: 'short', day: 'numeric', year: 'numeric' });
+        document.getElementById('migration-backup-info').textContent =
+            `Saved automatically on ${date} before upgrading the database from version ${saved.fromVersion}.`;
     }
 
-    async saveSession() {
-        const sessionId = this.app.state.editingSessionId;
-        const subjectId = document.getElementById('session-subject').value;
-        const date = document.getElementById('session-date').value;
-        const startTime = document.getElementById('session-start').value;
-        const endTime = document.getElementById('session-end').value;
+    async downloadMigrationBackup() {
+        const saved = await this.app.dataStore.get('settings', 'preMigrationBackup');
+        if (!saved) return;
 
-        if (!subjectId || !date || !startTime || !endTime) {
-            alert('Please fill all fields');
-            return;
-        }
+        const fileName = `studyflow-pre-upgrade-v${saved.fromVersion}-${this.app.state.formatDate(new Date(saved.createdAt))}.json`;
+        this.downloadFile(fileName, JSON.stringify(saved.backup, null, 2), 'application/json');
+    }
 
-        // Calculate duration
-        const start = new Date(`${date}T${startTime}`);
-        const end = new Date(`${date}T${endTime}`);
-        const duration = Math.floor((end - start) / 1000);
+    /**
+     * Database upgrade progress, shown while migrations run at startup
+     */
+    showMigrationProgress({ step, total, description, done, count, blocked }) {
+        document.getElementById('migration-overlay').classList.remove('hidden');
 
-        if (duration <= 0) {
-            alert('End time must be after start time');
+        if (blocked) {
+            document.getElementById('migration-step').textContent =
+                'Close other StudyFlow tabs to finish upgrading your data';
             return;
         }
 
-        const sessionData = {
-            id: sessionId,
-            subjectId,
-            date,
-            startTime,
-            endTime,
-            duration
-        };
-
-        await this.app.dataStore.save('sessions', sessionData);
-        await this.app.loadData();
-        this.closeModal('session-modal');
-        this.renderCalendar();
-        this.renderHistory();
-        this.renderStats();
-        this.renderDashboard();
+        document.getElementById('migration-step').textContent = `Step ${step} of ${total}: ${description}`;
+        document.getElementById('migration-records').textContent = count ? `${done} / ${count} records` : '';
+        const fraction = (step - 1 + (count ? done / count : 0)) / total;
+        document.getElementById('migration-progress-fill').style.width = `${Math.round(fraction * 100)}%`;
     }
 
-    async deleteSession(sessionId) {
-        if (!confirm('Delete this session?')) return;
-        await this.app.dataStore.delete('sessions', sessionId);
-        await this.app.loadData();
-        this.renderCalendar();
-        this.renderHistory();
-        this.renderStats();
-        this.renderDashboard();
+    hideMigrationProgress() {
+        document.getElementById('migration-overlay').classList.add('hidden');
     }
 
     /**
-     * Subject detail modal
+     * The database was closed for another tab's upgrade; only a reload can reopen it
      */
-    openSubjectDetail(subjectId) {
-        this.app.state.currentSubjectDetail = subjectId;
-        this.renderSubjectDetail(subjectId);
-        this.openModal('subject-detail-modal');
+    showDatabaseClosed() {
+        clearInterval(this.app.state.timerState.intervalId);
+        this.stopTimerMirror();
+        this.app.sync.disconnect();
+        document.getElementById('db-closed-overlay').classList.remove('hidden');
     }
 
-    renderSubjectDetail(subjectId) {
-        const subject = this.app.state.getSubject(subjectId);
-        if (!subject) return;
+    async onBackupFileSelected(e) {
+        const file = e.target.files[0];
+        e.target.value = '';
+        if (!file) return;
 
-        document.getElementById('subject-detail-name').textContent = subject.name;
+        let backup;
+        try {
+            backup = JSON.parse(await file.text());
+        } catch (error) {
+            alert('Could not read backup: the file is not valid JSON');
+            return;
+        }
 
-        const totalTime = this.app.state.getTotalTimeForSubject(subjectId);
-        const sessions = this.app.state.getSessionsForSubject(subjectId);
-        
-        document.getElementById('subject-total-time').textContent = this.formatTime(totalTime);
-        document.getElementById('subject-session-count').textContent = sessions.length;
+        const errors = this.app.dataStore.validateBackup(backup);
+        if (errors.length > 0) {
+            alert(`Could not import backup:\n\n${errors.join('\n')}`);
+            return;
+        }
 
-        // Render tasks
-        const tasks = this.app.state.getTasksForSubject(subjectId);
-        const tasksList = document.getElementById('tasks-list');
+        this.app.state.pendingImport = backup;
+        const report = await this.app.dataStore.analyzeBackup(backup);
+        this.renderImportSummary(backup, report);
 
-        if (tasks.length === 0) {
-            tasksList.innerHTML = '<div class="empty-state-text">No tasks yet</div>';
-        } else {
-            tasksList.innerHTML = tasks.map(task => `
-                <div class="task-item ${task.completed ? 'completed' : ''}">
-                    <input type="checkbox" class="task-checkbox" 
-                           ${task.completed ? 'checked' : ''}
-                           onchange="app.ui.toggleTask('${task.id}')">
-                    <span class="task-text">${this.escapeHtml(task.description)}</span>
-                    <div class="task-actions">
-                        <button class="btn-task" onclick="app.ui.openTaskModal('${task.id}')">✏️</button>
-                        <button class="btn-task" onclick="app.ui.deleteTask('${task.id}')">🗑️</button>
-                    </div>
+        document.querySelector('input[name="import-mode"][value="merge"]').checked = true;
+        document.getElementById('import-overwrite').checked = false;
+        this.updateImportOptions();
+        this.openModal('import-modal');
+    }
+
+    renderImportSummary(backup, report) {
+        const exportedAt = new Date(backup.exportedAt);
+        document.getElementById('import-source').textContent = isNaN(exportedAt) ?
+            'Backup file' :
+            `Backup from ${exportedAt.toLocaleString('en-US')}`;
+
+        const totalConflicts = Object.values(report).reduce((sum, r) => sum + r.conflicts.length, 0);
+
+        document.getElementById('import-summary').innerHTML = `
+            <div class="import-row import-row-header">
+                <span>Store</span><span>In file</span><span>New</span><span>Conflicts</span>
+            </div>
+            ${Object.entries(report).map(([storeName, r]) => `
+                <div class="import-row">
+                    <span>${storeName}</span>
+                    <span>${r.total}</span>
+                    <span>${r.added}</span>
+                    <span class="${r.conflicts.length ? 'import-conflict' : ''}">${r.conflicts.length}</span>
                 </div>
-            `).join('');
+            `).join('')}
+        `;
+
+        const conflictList = document.getElementById('import-conflicts');
+        if (totalConflicts === 0) {
+            conflictList.innerHTML = '<div class="empty-state-text">No conflicting records</div>';
+            return;
         }
+
+        conflictList.innerHTML = `
+            <details>
+                <summary>${totalConflicts} record(s) exist with different content</summary>
+                ${Object.entries(report)
+                    .filter(([, r]) => r.conflicts.length > 0)
+                    .map(([storeName, r]) => `
+                        <div class="import-conflict-ids">
+                            <strong>${storeName}:</strong> ${r.conflicts.map(id => this.escapeHtml(id)).join(', ')}
+                        </div>
+                    `).join('')}
+            </details>
+        `;
     }
 
-    editCurrentSubject() {
-        this.closeModal('subject-detail-modal');
-        this.openSubjectModal(this.app.state.currentSubjectDetail);
+    updateImportOptions() {
+        const mode = document.querySelector('input[name="import-mode"]:checked').value;
+        document.getElementById('import-overwrite').disabled = mode !== 'merge';
     }
 
-    async deleteCurrentSubject() {
-        if (!confirm('Delete this subject and all its data?')) return;
-        
-        const subjectId = this.app.state.currentSubjectDetail;
-        
-        // Delete all tasks
-        const tasks = this.app.state.getTasksForSubject(subjectId);
-        for (const task of tasks) {
-            await this.app.dataStore.delete('tasks', task.id);
-        }
+    async confirmImport() {
+        const backup = this.app.state.pendingImport;
+        if (!backup) return;
 
-        // Delete all sessions
-        const sessions = this.app.state.getSessionsForSubject(subjectId);
-        for (const session of sessions) {
-            await this.app.dataStore.delete('sessions', session.id);
-        }
+        const mode = document.querySelector('input[name="import-mode"]:checked').value;
+        const overwrite = document.getElementById('import-overwrite').checked;
 
-        // Delete subject
-        await this.app.dataStore.delete('subjects', subjectId);
-        
-        await this.app.loadData();
-        this.closeModal('subject-detail-modal');
-        this.renderSubjects();
-        this.renderDashboard();
+        if (mode === 'replace' && !confirm('Replace ALL current data with this backup?')) return;
+
+        this.app.state.pendingImport = null;
+        try {
+            await this.app.dataStore.importBackup(backup, { mode, overwrite });
+            await this.app.loadData();
+            // Repaired before other tabs read the imported data
+            await this.app.checkIntegrity();
+            this.app.sync.post({ type: 'reload' });
+            await this.normalizePrimaryGoal();
+            await this.writeChanges(this.getRedateChanges());
+        } catch (error) {
+            console.error('Failed to import backup:', error);
+            this.closeModal('import-modal');
+            alert(`Could not import backup: ${error.message}`);
+            return;
+        }
+        this.closeModal('import-modal');
+        alert('Backup imported successfully');
     }
 
     /**
@@ -722,21 +3259,23 @@ class UIManager {
      */
     renderDashboard() {
         // Update date
-        const now = new Date();
-        document.getElementById('current-date').textContent = now.toLocaleDateString('en-US', {
+        document.getElementById('current-date').textContent = this.app.state.formatDisplayDate(this.app.state.getTodayString(), {
             weekday: 'long',
             year: 'numeric',
             month: 'long',
             day: 'numeric'
         });
 
-        // Render goal
-        this.renderGoal();
+        // Render goals
+        this.renderGoals();
 
         // Today's total
         const todayString = this.app.state.getTodayString();
         const todayTotal = this.app.state.getTotalTimeForDate(todayString);
         document.getElementById('today-total').textContent = this.formatTime(todayTotal);
+        document.getElementById('today-target').innerHTML = this.app.state.dailyTargetMinutes > 0 ?
+            this.renderTargetBar('Daily target', todayTotal, this.app.state.dailyTargetMinutes, 'var(--primary)') :
+            '';
 
         // Streak
         const streak = this.app.state.calculateStreak();
@@ -746,6 +3285,7 @@ class UIManager {
         const totalTasks = this.app.state.tasks.length;
         const completedTasks = this.app.state.tasks.filter(t => t.completed).length;
         document.getElementById('tasks-completed').textContent = `${completedTasks}/${totalTasks}`;
+        this.renderTaskAgenda();
 
         // Quick subjects
         const quickList = document.getElementById('quick-subjects-list');
@@ -761,40 +3301,246 @@ class UIManager {
                             <span class="quick-subject-name">${this.escapeHtml(subject.name)}</span>
                         </div>
                         <span class="quick-subject-time">${this.formatTime(time)}</span>
+                        ${this.renderSubjectTargets(subject)}
                     </div>
                 `;
             }).join('');
         }
     }
 
-    renderGoal() {
-        const goal = this.app.state.goal;
-        if (!goal || !goal.targetDate) {
-            document.getElementById('goal-name').textContent = 'NEET-UG 2026';
-            document.getElementById('days-remaining').textContent = '--';
-            document.getElementById('weeks-remaining').textContent = '--';
-            document.getElementById('time-elapsed').textContent = '--';
-            document.getElementById('goal-progress').style.width = '0%';
+    renderTaskAgenda() {
+        const agenda = this.app.state.getTaskAgenda();
+        const tab = this.app.state.taskAgendaTab;
+
+        document.querySelectorAll('.agenda-tab').forEach(btn => {
+            const count = agenda[btn.dataset.agenda].length;
+            btn.querySelector('.agenda-count').textContent = count ? count : '';
+        });
+
+        const list = document.getElementById('task-agenda-list');
+        const tasks = agenda[tab];
+        if (tasks.length === 0) {
+            const messages = {
+                today: 'Nothing due today',
+                overdue: 'No overdue tasks',
+                upcoming: 'Nothing due in the next 7 days',
+                revisions: 'No revisions due'
+            };
+            list.innerHTML = `<div class="empty-state-text">${messages[tab]}</div>`;
+            return;
+        }
+
+        if (tab === 'revisions') {
+            list.innerHTML = tasks.map(entry => this.renderRevisionItem(entry)).join('');
+            return;
+        }
+
+        list.innerHTML = tasks.map(task => {
+            const subject = this.app.state.getSubject(task.subjectId);
+            return `
+                <div class="task-item">
+                    <input type="checkbox" class="task-checkbox" onchange="app.ui.toggleTask('${task.id}')">
+                    <div class="task-body" onclick="app.ui.openSubjectDetail('${task.subjectId}')">
+                        <span class="task-text">${this.escapeHtml(task.description)}</span>
+                        ${this.renderTaskMeta(task, subject)}
+                    </div>
+                </div>
+            `;
+        }).join('');
+    }
+
+    renderRevisionItem({ task, revision }) {
+        const subject = this.app.state.getSubject(task.subjectId);
+        const number = task.revisions.indexOf(revision) + 1;
+        const overdue = revision.dueDate < this.app.state.getTodayString();
+        return `
+            <div class="task-item">
+                <div class="task-body" onclick="app.ui.openSubjectDetail('${task.subjectId}')">
+                    <span class="task-text">🔁 ${this.escapeHtml(task.description)}</span>
+                    <div class="task-meta">
+                        ${subject ? `
+                            <span class="task-chip">
+                                <span class="subject-color-dot" style="background-color: ${subject.color}"></span>
+                                ${this.escapeHtml(subject.name)}
+                            </span>
+                        ` : ''}
+                        <span class="task-chip ${overdue ? 'overdue' : ''}">
+                            Revision ${number} of ${task.revisions.length} · due ${revision.dueDate}
+                        </span>
+                    </div>
+                </div>
+                <button class="btn-small" onclick="app.ui.completeRevision('${task.id}', '${revision.id}')">✓ Revised</button>
+            </div>
+        `;
+    }
+
+    /**
+     * Study target progress bars
+     */
+    renderSubjectTargets(subject) {
+        if (!subject.dailyTargetMinutes && !subject.weeklyTargetMinutes) return '';
+
+        const progress = this.app.state.getSubjectProgress(subject.id);
+        return `
+            <div class="target-list">
+                ${subject.dailyTargetMinutes ? this.renderTargetBar('Today', progress.today, subject.dailyTargetMinutes, subject.color) : ''}
+                ${subject.weeklyTargetMinutes ? this.renderTargetBar('This week', progress.week, subject.weeklyTargetMinutes, subject.color) : ''}
+            </div>
+        `;
+    }
+
+    renderTargetBar(label, seconds, targetMinutes, color) {
+        const percentage = Math.min(100, (seconds / (targetMinutes * 60)) * 100);
+        return `
+            <div class="target-progress ${percentage >= 100 ? 'met' : ''}">
+                <div class="target-progress-label">
+                    <span>${label}</span>
+                    <span>${this.formatTime(seconds)} / ${this.formatTime(targetMinutes * 60)}</span>
+                </div>
+                <div class="target-bar">
+                    <div class="target-bar-fill" style="width: ${percentage}%; background-color: ${color}"></div>
+                </div>
+            </div>
+        `;
+    }
+
+    async saveDailyTarget() {
+        const minutes = parseInt(document.getElementById('daily-target-input').value, 10) || 0;
+        if (minutes < 0) {
+            alert('Targets cannot be negative');
             return;
         }
 
-        const now = new Date();
-        const target = new Date(goal.targetDate);
-        const start = new Date(goal.startDate);
+        const record = minutes === 0 ? null : { key: 'dailyTarget', minutes };
+        await this.writeChanges(await this.settingChanges('dailyTarget', record));
+    }
+
+    async saveDayStart() {
+        const hour = parseInt(document.getElementById('day-start-input').value, 10) || 0;
+        const settingChanges = await this.settingChanges('dayStart', hour === 0 ? null : { key: 'dayStart', hour });
+        this.app.state.dayStartHour = hour;
+
+        // The setting and the re-dated sessions are saved together
+        await this.writeChanges([...settingChanges, ...this.getRedateChanges()]);
+    }
+
+    /**
+     * Change to a settings record (null removes it), or none if it stays absent
+     */
+    async settingChanges(key, record) {
+        const before = await this.app.dataStore.get('settings', key) || null;
+        return before || record ? [{ store: 'settings', before, after: record }] : [];
+    }
+
+    /**
+     * Re-date sessions whose study day differs under the current day start hour
+     * (after changing it or importing a backup)
+     */
+    getRedateChanges() {
+        return this.app.state.sessions
+            .filter(session => session.date !== this.app.state.getStudyDate(session.startedAt))
+            .map(session => ({
+                store: 'sessions',
+                before: session,
+                after: { ...session, date: this.app.state.getStudyDate(session.startedAt) }
+            }));
+    }
+
+    renderSettings() {
+        document.getElementById('daily-target-input').value = this.app.state.dailyTargetMinutes || '';
+        document.getElementById('day-start-input').value = this.app.state.dayStartHour;
+        this.renderTrash();
+        this.renderMigrationBackup();
+    }
+
+    renderGoals() {
+        const container = document.getElementById('goals-list');
+        const goals = this.app.state.getSortedGoals();
 
-        const totalTime = target - start;
-        const elapsed = now - start;
-        const remaining = target - now;
+        // Placeholder card until the first goal is set
+        if (goals.length === 0) {
+            container.innerHTML = `
+                <div class="goal-card">
+                    <div class="goal-header">
+                        <h3>NEET-UG 2026</h3>
+                        <button class="btn-icon" onclick="app.ui.openGoalModal()" title="Set Goal">✏️</button>
+                    </div>
+                    <div class="goal-stats">
+                        <div class="goal-stat">
+                            <div class="goal-value">--</div>
+                            <div class="goal-label">Days Left</div>
+                        </div>
+                        <div class="goal-stat">
+                            <div class="goal-value">--</div>
+                            <div class="goal-label">Weeks Left</div>
+                        </div>
+                        <div class="goal-stat">
+                            <div class="goal-value">--</div>
+                            <div class="goal-label">Time Elapsed</div>
+                        </div>
+                    </div>
+                    <div class="progress-bar">
+                        <div class="progress-fill" style="width: 0%"></div>
+                    </div>
+                </div>
+            `;
+            return;
+        }
 
-        const daysRemaining = Math.max(0, Math.ceil(remaining / (1000 * 60 * 60 * 24)));
-        const weeksRemaining = Math.max(0, Math.ceil(daysRemaining / 7));
-        const percentElapsed = Math.min(100, Math.max(0, (elapsed / totalTime) * 100));
+        const [primary, ...others] = goals;
+        container.innerHTML = this.renderGoalCard(primary) + (others.length === 0 ? '' : `
+            <div class="secondary-goals">
+                ${others.map(goal => this.renderGoalCard(goal)).join('')}
+            </div>
+        `);
+    }
 
-        document.getElementById('goal-name').textContent = goal.name;
-        document.getElementById('days-remaining').textContent = daysRemaining;
-        document.getElementById('weeks-remaining').textContent = weeksRemaining;
-        document.getElementById('time-elapsed').textContent = `${percentElapsed.toFixed(0)}%`;
-        document.getElementById('goal-progress').style.width = `${percentElapsed}%`;
+    renderGoalCard(goal) {
+        const progress = this.app.state.getGoalProgress(goal);
+        const today = this.app.state.getTodayString();
+        const linkedSubjects = (goal.subjectIds || [])
+            .map(id => this.app.state.getSubject(id))
+            .filter(Boolean);
+
+        return `
+            <div class="goal-card ${goal.primary ? '' : 'secondary'}">
+                <div class="goal-header">
+                    <h3>${goal.primary ? '⭐ ' : ''}${this.escapeHtml(goal.name)}</h3>
+                    <div class="goal-actions">
+                        ${goal.primary ? '' : `<button class="btn-icon" onclick="app.ui.setPrimaryGoal('${goal.id}')" title="Make Primary">⭐</button>`}
+                        <button class="btn-icon" onclick="app.ui.openGoalModal('${goal.id}')" title="Edit Goal">✏️</button>
+                    </div>
+                </div>
+                <div class="goal-stats">
+                    <div class="goal-stat">
+                        <div class="goal-value">${progress.daysRemaining}</div>
+                        <div class="goal-label">Days Left</div>
+                    </div>
+                    <div class="goal-stat">
+                        <div class="goal-value">${progress.weeksRemaining}</div>
+                        <div class="goal-label">Weeks Left</div>
+                    </div>
+                    <div class="goal-stat">
+                        <div class="goal-value">${progress.percentElapsed.toFixed(0)}%</div>
+                        <div class="goal-label">Time Elapsed</div>
+                    </div>
+                </div>
+                <div class="progress-bar">
+                    <div class="progress-fill" style="width: ${progress.percentElapsed}%"></div>
+                </div>
+                ${linkedSubjects.length === 0 ? '' : `
+                    <div class="goal-subjects">
+                        ${linkedSubjects.map(subject => `
+                            <span class="goal-subject-chip">
+                                <span class="subject-color-dot" style="background-color: ${subject.color}"></span>
+                                ${this.escapeHtml(subject.name)}
+                                <span class="goal-subject-time">${this.formatTime(this.app.state.getTimeBetween(goal.startDate, today, subject.id))}</span>
+                            </span>
+                        `).join('')}
+                    </div>
+                `}
+            </div>
+        `;
     }
 
     renderSubjects() {
@@ -815,6 +3561,7 @@ class UIManager {
             const sessions = this.app.state.getSessionsForSubject(subject.id);
             const tasks = this.app.state.getTasksForSubject(subject.id);
             const completedTasks = tasks.filter(t => t.completed).length;
+            const syllabus = this.app.state.getSyllabusProgress(subject.id);
 
             return `
                 <div class="subject-card" onclick="app.ui.openSubjectDetail('${subject.id}')">
@@ -839,6 +3586,12 @@ class UIManager {
                             <span class="subject-stat-label">Tasks</span>
                             <span class="subject-stat-value">${completedTasks}/${tasks.length}</span>
                         </div>
+                        ${syllabus.total ? `
+                            <div class="subject-stat">
+                                <span class="subject-stat-label">Syllabus</span>
+                                <span class="subject-stat-value">${syllabus.percent}%</span>
+                            </div>
+                        ` : ''}
                     </div>
                 </div>
             `;
@@ -856,12 +3609,16 @@ class UIManager {
         // Restore timer state if exists
         if (this.app.state.timerState.subjectId) {
             select.value = this.app.state.timerState.subjectId;
-            this.updateTimerDisplay();
         }
+
+        this.renderTimerTasks();
+        this.renderTimerMode();
+        this.updateTimerDisplay();
     }
 
     onTimerSubjectChange(e) {
         const subjectId = e.target.value;
+        this.app.state.timerState.taskId = null;
         if (subjectId) {
             this.app.state.timerState.subjectId = subjectId;
             document.getElementById('start-timer').disabled = false;
@@ -870,6 +3627,151 @@ class UIManager {
             document.getElementById('pause-timer').disabled = true;
             document.getElementById('reset-timer').disabled = true;
         }
+        this.renderTimerTasks();
+    }
+
+    /**
+     * Optional task picker for the selected timer subject (open tasks only)
+     */
+    renderTimerTasks() {
+        const state = this.app.state.timerState;
+        const tasks = state.subjectId ?
+            this.app.state.getTasksForSubject(state.subjectId).filter(t => !t.completed || t.id === state.taskId) :
+            [];
+
+        document.getElementById('timer-task-group').classList.toggle('hidden', tasks.length === 0);
+        document.getElementById('timer-task').innerHTML = '<option value="">No specific task</option>' +
+            tasks.map(t => `<option value="${t.id}">${this.escapeHtml(t.description)}</option>`).join('');
+        document.getElementById('timer-task').value = state.taskId || '';
+        document.getElementById('complete-task-on-stop').checked = this.app.state.timerConfig.completeTaskOnStop;
+    }
+
+    /**
+     * Complete the timer's task after the user stops, if they asked for it
+     */
+    async completeTimerTask() {
+        const state = this.app.state.timerState;
+        if (!this.app.state.timerConfig.completeTaskOnStop || !state.taskId) return;
+
+        const before = this.app.state.tasks.find(t => t.id === state.taskId);
+        state.taskId = null;
+        if (!before || before.completed) return;
+
+        const task = { ...before, completed: true, completedAt: Date.now() };
+        this.offerRevisions(task);
+        await this.commitChanges('Completed task', [{ store: 'tasks', before, after: task }]);
+    }
+
+    /**
+     * Timer modes (stopwatch, countdown, pomodoro)
+     */
+    renderTimerMode() {
+        const state = this.app.state.timerState;
+        const config = this.app.state.timerConfig;
+        const locked = this.isTimerActive();
+
+        document.querySelectorAll('.mode-btn').forEach(btn => {
+            btn.classList.toggle('active', btn.dataset.mode === state.mode);
+            btn.disabled = locked;
+        });
+
+        document.getElementById('countdown-settings').classList.toggle('hidden', state.mode !== 'countdown');
+        document.getElementById('pomodoro-settings').classList.toggle('hidden', state.mode !== 'pomodoro');
+
+        document.getElementById('countdown-minutes').value = config.countdownMinutes;
+        document.getElementById('focus-minutes').value = config.focusMinutes;
+        document.getElementById('short-break-minutes').value = config.shortBreakMinutes;
+        document.getElementById('long-break-minutes').value = config.longBreakMinutes;
+        document.getElementById('pomodoro-cycles').value = config.cycles;
+        document.querySelectorAll('.timer-settings input').forEach(input => {
+            input.disabled = locked;
+        });
+
+        this.renderTimerPhase();
+    }
+
+    renderTimerPhase() {
+        const state = this.app.state.timerState;
+        const phaseLabel = document.getElementById('timer-phase');
+        const isBreak = state.phase !== 'focus';
+
+        document.getElementById('timer-display').classList.toggle('on-break', isBreak);
+        document.getElementById('skip-break').classList.toggle('hidden', !isBreak);
+
+        if (state.mode !== 'pomodoro') {
+            phaseLabel.textContent = '';
+            return;
+        }
+
+        const cycles = this.app.state.timerConfig.cycles;
+        switch (state.phase) {
+            case 'shortBreak':
+                phaseLabel.textContent = '☕ Short Break';
+                break;
+            case 'longBreak':
+                phaseLabel.textContent = '🌿 Long Break';
+                break;
+            default:
+                phaseLabel.textContent = `🎯 Focus ${(state.completedFocus % cycles) + 1} of ${cycles}`;
+        }
+    }
+
+    isTimerActive() {
+        const state = this.app.state.timerState;
+        return state.isRunning || state.elapsedSeconds > 0 || state.phaseOffset > 0 || state.completedFocus > 0;
+    }
+
+    async setTimerMode(mode) {
+        if (this.isTimerActive()) return;
+
+        this.app.state.timerState.mode = mode;
+        this.app.state.timerConfig.mode = mode;
+        const config = { key: 'timerConfig', ...this.app.state.timerConfig };
+        await this.writeChanges(await this.settingChanges('timerConfig', config));
+    }
+
+    async saveTimerConfig() {
+        const config = this.app.state.timerConfig;
+        const fields = {
+            countdownMinutes: 'countdown-minutes',
+            focusMinutes: 'focus-minutes',
+            shortBreakMinutes: 'short-break-minutes',
+            longBreakMinutes: 'long-break-minutes',
+            cycles: 'pomodoro-cycles'
+        };
+
+        Object.entries(fields).forEach(([field, inputId]) => {
+            const value = parseInt(document.getElementById(inputId).value, 10);
+            if (value >= 1) {
+                config[field] = value;
+            }
+        });
+
+        await this.writeChanges(await this.settingChanges('timerConfig', { key: 'timerConfig', ...config }));
+    }
+
+    /**
+     * Length in seconds of the current countdown or pomodoro phase
+     */
+    getPhaseSeconds() {
+        const state = this.app.state.timerState;
+        const config = this.app.state.timerConfig;
+
+        if (state.mode === 'countdown') return config.countdownMinutes * 60;
+
+        switch (state.phase) {
+            case 'shortBreak':
+                return config.shortBreakMinutes * 60;
+            case 'longBreak':
+                return config.longBreakMinutes * 60;
+            default:
+                return config.focusMinutes * 60;
+        }
+    }
+
+    getRemainingSeconds() {
+        const state = this.app.state.timerState;
+        return Math.max(0, this.getPhaseSeconds() - state.phaseOffset - state.elapsedSeconds);
     }
 
     startTimer() {
@@ -881,48 +3783,142 @@ class UIManager {
             
             state.intervalId = setInterval(() => {
                 state.elapsedSeconds = Math.floor((Date.now() - state.startTime) / 1000);
+
+                if (state.mode !== 'stopwatch' && this.getRemainingSeconds() === 0) {
+                    this.completePhase().catch(error => {
+                        console.error('Failed to complete timer phase:', error);
+                        alert(`Could not save the timer session: ${error.message}`);
+                    });
+                    return;
+                }
                 this.updateTimerDisplay();
+
+                // Heartbeat so a crashed tab knows when studying last happened
+                if (Date.now() - state.lastActiveAt >= 30000) {
+                    this.persistTimer();
+                }
             }, 1000);
+            this.persistTimer();
 
             document.getElementById('start-timer').disabled = true;
             document.getElementById('pause-timer').disabled = false;
             document.getElementById('reset-timer').disabled = false;
+            this.renderTimerMode();
+
+            const subject = this.app.state.getSubject(state.subjectId);
+            document.getElementById('timer-info').textContent = state.phase === 'focus' ?
+                `Studying ${subject.name}...` :
+                'On a break — relax, this time is not logged';
+        }
+    }
+
+    async pauseTimer() {
+        const state = this.app.state.timerState;
+        this.takeOverTimer();
+        
+        if (state.isRunning) {
+            state.isRunning = false;
+            clearInterval(state.intervalId);
+
+            // Save session (break time is never logged)
+            const onBreak = state.phase !== 'focus';
+            const saved = await this.saveTimerSession();
+            if (!onBreak) {
+                await this.completeTimerTask();
+            }
+            await this.persistTimer();
+
+            document.getElementById('start-timer').disabled = false;
+            document.getElementById('pause-timer').disabled = true;
+            this.renderTimerMode();
+
+            const subject = this.app.state.getSubject(state.subjectId);
+            document.getElementById('timer-info').textContent = onBreak ?
+                'Break paused' :
+                `Session saved for ${subject.name}!`;
+
+            if (saved) {
+                this.openSessionReview(saved.id);
+            }
+        }
+    }
+
+    /**
+     * Called when a countdown or pomodoro phase runs out
+     */
+    async completePhase() {
+        const state = this.app.state.timerState;
+        clearInterval(state.intervalId);
+        state.isRunning = false;
+
+        // Only count time up to the end of the phase, even if the tab was asleep
+        state.elapsedSeconds = this.getPhaseSeconds() - state.phaseOffset;
+        const phaseEnd = state.startTime + state.elapsedSeconds * 1000;
+        const subject = this.app.state.getSubject(state.subjectId);
+
+        if (state.phase === 'focus') {
+            await this.saveTimerSession(phaseEnd, { finishesPhase: true });
+        }
+        state.elapsedSeconds = 0;
+        state.phaseOffset = 0;
+
+        if (state.mode === 'countdown') {
+            await this.completeTimerTask();
+            await this.persistTimer();
+            this.finishTimerPhase(`Countdown finished — session saved for ${subject.name}!`);
+            return;
+        }
 
-            const subject = this.app.state.getSubject(state.subjectId);
-            document.getElementById('timer-info').textContent = `Studying ${subject.name}...`;
+        if (state.phase === 'focus') {
+            // Focus block done: the break starts straight away
+            state.completedFocus++;
+            state.phase = state.completedFocus % this.app.state.timerConfig.cycles === 0 ? 'longBreak' : 'shortBreak';
+            this.startTimer();
+            document.getElementById('timer-info').textContent = `Focus block saved for ${subject.name}. Time for a break!`;
+        } else {
+            // Break done: wait for the user to start the next focus block
+            state.phase = 'focus';
+            await this.persistTimer();
+            this.finishTimerPhase('Break over — press Start for the next focus block');
         }
+        this.updateTimerDisplay();
     }
 
-    async pauseTimer() {
-        const state = this.app.state.timerState;
-        
-        if (state.isRunning) {
-            state.isRunning = false;
-            clearInterval(state.intervalId);
+    finishTimerPhase(message) {
+        document.getElementById('start-timer').disabled = false;
+        document.getElementById('pause-timer').disabled = true;
+        document.getElementById('timer-info').textContent = message;
+        this.renderTimerMode();
+        this.updateTimerDisplay();
+    }
 
-            // Save session
-            await this.saveTimerSession();
+    async skipBreak() {
+        const state = this.app.state.timerState;
+        if (state.phase === 'focus') return;
+        this.takeOverTimer();
 
-            document.getElementById('start-timer').disabled = false;
-            document.getElementById('pause-timer').disabled = true;
-            
-            const subject = this.app.state.getSubject(state.subjectId);
-            document.getElementById('timer-info').textContent = `Session saved for ${subject.name}!`;
-        }
+        clearInterval(state.intervalId);
+        state.isRunning = false;
+        state.elapsedSeconds = 0;
+        state.phaseOffset = 0;
+        state.phase = 'focus';
+        await this.persistTimer();
+        this.finishTimerPhase('Break skipped — press Start for the next focus block');
     }
 
     async resetTimer() {
         const state = this.app.state.timerState;
+        this.takeOverTimer();
         
         if (state.isRunning) {
             clearInterval(state.intervalId);
         }
 
-        state.isRunning = false;
-        state.startTime = null;
-        state.elapsedSeconds = 0;
+        this.clearTimerState();
+        await this.persistTimer();
 
         this.updateTimerDisplay();
+        this.renderTimerMode();
 
         document.getElementById('start-timer').disabled = false;
         document.getElementById('pause-timer').disabled = true;
@@ -930,39 +3926,304 @@ class UIManager {
         document.getElementById('timer-info').textContent = '';
     }
 
-    async saveTimerSession() {
+    clearTimerState() {
         const state = this.app.state.timerState;
-        if (state.elapsedSeconds < 60) return; // Don't save sessions under 1 minute
+        state.isRunning = false;
+        state.startTime = null;
+        state.elapsedSeconds = 0;
+        state.phase = 'focus';
+        state.phaseOffset = 0;
+        state.completedFocus = 0;
+    }
 
-        const now = new Date();
-        const startTime = new Date(state.startTime);
-        const endTime = now;
+    /**
+     * Log the running focus time as a session; returns the saved session, if any
+     */
+    async saveTimerSession(endTimestamp = Date.now(), { finishesPhase = false } = {}) {
+        const state = this.app.state.timerState;
+        if (state.phase !== 'focus') return null; // Break time is not study time
+        if (state.elapsedSeconds === 0) return null;
+        // Don't save sessions under 1 minute, except the end of a focus block that ran out
+        if (state.elapsedSeconds < 60 && !finishesPhase) return null;
 
+        const task = this.app.state.tasks.find(t => t.id === state.taskId);
         const sessionData = {
             id: this.app.state.generateId(),
             subjectId: state.subjectId,
-            date: this.app.state.formatDate(now),
-            startTime: startTime.toTimeString().substr(0, 5),
-            endTime: endTime.toTimeString().substr(0, 5),
-            duration: state.elapsedSeconds
+            taskId: state.taskId,
+            topicId: task && task.topicId ? task.topicId : null,
+            date: this.app.state.getStudyDate(state.startTime),
+            startedAt: state.startTime,
+            endedAt: endTimestamp,
+            duration: state.elapsedSeconds,
+            notes: '',
+            focus: null,
+            tags: []
         };
 
-        await this.app.dataStore.save('sessions', sessionData);
-        await this.app.loadData();
-        
-        // Reset elapsed time for next session
+        await this.writeChanges([{ store: 'sessions', before: null, after: sessionData }]);
+
+        // Reset elapsed time for next session, keeping the phase progress
+        if (state.mode !== 'stopwatch') {
+            state.phaseOffset += state.elapsedSeconds;
+        }
         state.elapsedSeconds = 0;
         state.startTime = Date.now();
+        return sessionData;
+    }
+
+    /**
+     * App updates from the service worker
+     */
+    showUpdateBanner(worker) {
+        this.waitingWorker = worker;
+        document.getElementById('update-banner').classList.remove('hidden');
+    }
+
+    async applyUpdate() {
+        if (!this.waitingWorker) return;
+
+        // The page reloads once the new worker takes control; keep the running timer
+        if (this.app.state.timerState.isRunning) {
+            await this.persistTimer();
+        }
+        this.refreshing = true;
+        this.waitingWorker.postMessage({ type: 'SKIP_WAITING' });
+    }
+
+    /**
+     * Timer persistence (survives reloads, crashes and discarded tabs)
+     */
+    async persistTimer() {
+        // Only the tab running the timer saves it
+        if (this.isTimerRemote()) return;
+
+        const state = this.app.state.timerState;
+        state.lastActiveAt = Date.now();
+
+        if (!this.isTimerActive()) {
+            await this.app.dataStore.delete('settings', 'timer');
+            this.app.sync.post({ type: 'timer', timer: null });
+            return;
+        }
+
+        const timer = {
+            key: 'timer',
+            tabId: state.isRunning ? this.app.sync.tabId : null,
+            subjectId: state.subjectId,
+            taskId: state.taskId,
+            startTime: state.startTime,
+            elapsedSeconds: state.elapsedSeconds,
+            isRunning: state.isRunning,
+            lastActiveAt: state.lastActiveAt,
+            mode: state.mode,
+            phase: state.phase,
+            phaseOffset: state.phaseOffset,
+            completedFocus: state.completedFocus
+        };
+        await this.app.dataStore.save('settings', timer);
+        this.app.sync.post({ type: 'timer', timer });
+    }
+
+    async restoreTimer() {
+        const saved = await this.app.dataStore.get('settings', 'timer');
+        if (!saved) return;
+
+        const subject = this.app.state.getSubject(saved.subjectId);
+        if (!subject) {
+            await this.app.dataStore.delete('settings', 'timer');
+            return;
+        }
+
+        // Still running in another open tab: follow it there
+        if (saved.isRunning && await this.app.sync.isTabAlive(saved.tabId)) {
+            this.showRemoteTimer(saved);
+            return;
+        }
+
+        // Left running by a closed tab: claim it before asking anything below,
+        // so tabs opened meanwhile follow this one. If another tab claims it first, follow that one
+        if (saved.isRunning && !(await this.claimTimer(saved.tabId))) {
+            this.showRemoteTimer(await this.app.dataStore.get('settings', 'timer'));
+            return;
+        }
+
+        const state = this.app.state.timerState;
+        this.applySavedTimer(saved);
+
+        // Paused timer: restore the offset and wait for the user to resume
+        if (!saved.isRunning) {
+            this.updateTimerDisplay();
+            document.getElementById('start-timer').disabled = false;
+            document.getElementById('reset-timer').disabled = false;
+            document.getElementById('timer-info').textContent = `Paused ${subject.name} timer restored`;
+            return;
+        }
+
+        const totalSeconds = Math.floor((Date.now() - saved.startTime) / 1000);
+
+        // A running break is simply resumed; it finishes itself if already over
+        if (state.phase !== 'focus') {
+            state.elapsedSeconds = totalSeconds;
+            this.startTimer();
+            return;
+        }
+
+        // Countdown phases never log more than their remaining length
+        const maxSeconds = state.mode === 'stopwatch' ? Infinity : this.getPhaseSeconds() - state.phaseOffset;
+        const lastActiveAt = saved.lastActiveAt || Date.now();
+        const activeSeconds = Math.min(maxSeconds, Math.max(0, Math.floor((lastActiveAt - saved.startTime) / 1000)));
+
+        const resume = confirm(
+            `Your ${subject.name} timer was still running when StudyFlow closed.\n\n` +
+            `Time until the tab was last active: ${this.formatTime(activeSeconds)}\n` +
+            `Time until now: ${this.formatTime(Math.min(maxSeconds, totalSeconds))}\n\n` +
+            'OK to resume the timer, Cancel to save the session up to when the tab was last active.'
+        );
+
+        if (resume) {
+            state.elapsedSeconds = totalSeconds;
+            this.updateTimerDisplay();
+            this.startTimer();
+            return;
+        }
+
+        state.elapsedSeconds = activeSeconds;
+        await this.saveTimerSession(saved.startTime + activeSeconds * 1000);
+        await this.resetTimer();
+    }
+
+    /**
+     * Copy a saved timer into the timer state (except whether it is running)
+     */
+    applySavedTimer(saved) {
+        const state = this.app.state.timerState;
+        state.subjectId = saved.subjectId;
+        state.taskId = saved.taskId || null;
+        state.startTime = saved.startTime;
+        state.elapsedSeconds = saved.elapsedSeconds;
+        state.mode = saved.mode || 'stopwatch';
+        state.phase = saved.phase || 'focus';
+        state.phaseOffset = saved.phaseOffset || 0;
+        state.completedFocus = saved.completedFocus || 0;
+    }
+
+    /**
+     * Cross-tab timer. Only one tab runs the timer (its id is saved with it);
+     * other tabs mirror its live state, and acting on it from any tab moves it there.
+     */
+    isTimerRemote() {
+        return this.timerMirrorId !== null;
+    }
+
+    /**
+     * Follow the timer as another tab saved it (null = reset there)
+     */
+    showRemoteTimer(saved) {
+        const state = this.app.state.timerState;
+
+        // Another tab runs the timer now, so it stops ticking here
+        clearInterval(state.intervalId);
+        state.intervalId = null;
+        this.stopTimerMirror();
+
+        if (saved) {
+            this.applySavedTimer(saved);
+            state.isRunning = saved.isRunning;
+        } else {
+            this.clearTimerState();
+            state.mode = this.app.state.timerConfig.mode;
+        }
+
+        if (state.isRunning) {
+            const tick = () => {
+                state.elapsedSeconds = Math.floor((Date.now() - state.startTime) / 1000);
+                this.updateTimerDisplay();
+            };
+            tick();
+            this.timerMirrorId = setInterval(tick, 1000);
+        }
+
+        this.renderTimer();
+
+        // The subject and task belong to the tab running the timer
+        document.getElementById('timer-subject').disabled = state.isRunning;
+        document.getElementById('timer-task').disabled = state.isRunning;
+        document.getElementById('start-timer').disabled = state.isRunning || !state.subjectId;
+        document.getElementById('pause-timer').disabled = !state.isRunning;
+        document.getElementById('reset-timer').disabled = !this.isTimerActive();
+
+        const subject = this.app.state.getSubject(state.subjectId);
+        let info = '';
+        if (subject && state.isRunning) {
+            info = `${subject.name} timer is running in another tab`;
+        } else if (subject && this.isTimerActive()) {
+            info = `${subject.name} timer paused`;
+        }
+        document.getElementById('timer-info').textContent = info;
+    }
+
+    stopTimerMirror() {
+        clearInterval(this.timerMirrorId);
+        this.timerMirrorId = null;
+        document.getElementById('timer-subject').disabled = false;
+        document.getElementById('timer-task').disabled = false;
+    }
+
+    /**
+     * Before pausing, skipping or resetting a timer another tab runs: stop
+     * mirroring it. That tab stops once this one saves the new timer state.
+     */
+    takeOverTimer() {
+        if (!this.isTimerRemote()) return;
+
+        this.stopTimerMirror();
+        const state = this.app.state.timerState;
+        state.elapsedSeconds = Math.floor((Date.now() - state.startTime) / 1000);
+    }
+
+    /**
+     * Make this tab the owner of a timer left running by a tab that closed.
+     * Several tabs may try at once; returns the saved timer only to the one that
+     * wins, which tells the others before it does anything else.
+     */
+    async claimTimer(fromTabId) {
+        const tabId = this.app.sync.tabId;
+        const saved = await this.app.dataStore.update('settings', 'timer', record =>
+            (record && record.isRunning && record.tabId === fromTabId ? { ...record, tabId } : undefined));
+        if (!saved || saved.tabId !== tabId) return null;
+
+        this.app.sync.post({ type: 'timer', timer: saved });
+        return saved;
+    }
+
+    /**
+     * The tab running the timer closed: keep it running here if this tab claims it
+     */
+    async adoptTimer(fromTabId) {
+        if (!this.isTimerRemote()) return;
+
+        const saved = await this.claimTimer(fromTabId);
+        if (!saved) return;
+
+        this.stopTimerMirror();
+        const state = this.app.state.timerState;
+        this.applySavedTimer(saved);
+        state.isRunning = false;
+        state.elapsedSeconds = Math.floor((Date.now() - saved.startTime) / 1000);
+        this.startTimer();
     }
 
     updateTimerDisplay() {
-        const seconds = this.app.state.timerState.elapsedSeconds;
+        const state = this.app.state.timerState;
+        const seconds = state.mode === 'stopwatch' ? state.elapsedSeconds : this.getRemainingSeconds();
         const h = Math.floor(seconds / 3600);
         const m = Math.floor((seconds % 3600) / 60);
         const s = seconds % 60;
         
         const display = `${String(h).padStart(2, '0')}:${String(m).padStart(2, '0')}:${String(s).padStart(2, '0')}`;
         document.getElementById('timer-display').textContent = display;
+        this.renderTimerPhase();
     }
 
     renderCalendar() {
@@ -997,8 +4258,12 @@ class UIManager {
         }
 
         // Current month days
-        const today = new Date();
-        const todayString = this.app.state.formatDate(today);
+        const todayString = this.app.state.getTodayString();
+
+        const revisionsByDate = {};
+        this.app.state.getPendingRevisions().forEach(({ revision }) => {
+            revisionsByDate[revision.dueDate] = (revisionsByDate[revision.dueDate] || 0) + 1;
+        });
 
         for (let day = 1; day <= daysInMonth; day++) {
             const dateString = this.app.state.formatDate(new Date(year, month, day));
@@ -1011,6 +4276,9 @@ class UIManager {
                      onclick="app.ui.selectDate('${dateString}')">
                     <div class="calendar-day-number">${day}</div>
                     ${hasSessions ? `<div class="calendar-day-time">${this.formatTime(dayTime)}</div>` : ''}
+                    ${revisionsByDate[dateString] ?
+                        `<div class="calendar-day-revisions" title="${revisionsByDate[dateString]} revision(s) due">🔁 ${revisionsByDate[dateString]}</div>` :
+                        ''}
                 </div>
             `;
         }
@@ -1032,171 +4300,574 @@ class UIManager {
         }
     }
 
-    selectDate(dateString) {
-        this.app.state.selectedDate = dateString;
-        this.renderDayDetails(dateString);
+    selectDate(dateString) {
+        this.app.state.selectedDate = dateString;
+        this.renderDayDetails(dateString);
+    }
+
+    renderDayDetails(dateString) {
+        const sessions = this.app.state.getSessionsForDate(dateString);
+        const container = document.getElementById('day-details');
+
+        const header = `
+            <div class="day-details-header">
+                <h3>${this.app.state.formatDisplayDate(dateString, { 
+                    weekday: 'long', 
+                    year: 'numeric', 
+                    month: 'long', 
+                    day: 'numeric' 
+                })}</h3>
+                <button class="btn-small" onclick="app.ui.openSessionModal(null, '${dateString}')">+ Add Session</button>
+            </div>
+        `;
+
+        const revisions = this.app.state.getPendingRevisions().filter(r => r.revision.dueDate === dateString);
+        const revisionList = revisions.length ? `
+            <h4 class="day-details-subheading">Revisions due</h4>
+            ${revisions.map(entry => this.renderRevisionItem(entry)).join('')}
+        ` : '';
+
+        if (sessions.length === 0) {
+            container.innerHTML = `
+                ${header}
+                <div class="empty-state-text">No study sessions on this day</div>
+                ${revisionList}
+            `;
+            return;
+        }
+
+        container.innerHTML = `
+            ${header}
+            ${sessions.map(session => {
+                const subject = this.app.state.getSubject(session.subjectId);
+                const segments = this.app.state.getSessionSegments(session);
+                const dayShare = segments.length > 1 ?
+                    ` • ${this.formatTime(segments.find(s => s.date === dateString).duration)} on this day` :
+                    '';
+                return `
+                    <div class="day-session">
+                        <div class="day-session-info">
+                            <div class="day-session-subject" style="color: ${subject.color}">
+                                ${this.escapeHtml(subject.name)}
+                            </div>
+                            <div class="day-session-time">
+                                ${this.formatSessionRange(session)} (${this.formatTime(session.duration)})${dayShare}
+                            </div>
+                        </div>
+                        <div class="day-session-actions">
+                            <button class="btn-task" onclick="app.ui.openSessionModal('${session.id}')">✏️</button>
+                            <button class="btn-task" onclick="app.ui.deleteSession('${session.id}')">🗑️</button>
+                        </div>
+                    </div>
+                `;
+            }).join('')}
+            ${revisionList}
+        `;
+    }
+
+    changeMonth(delta) {
+        const date = this.app.state.calendarDate;
+        date.setMonth(date.getMonth() + delta);
+        this.renderCalendar();
+    }
+
+    /**
+     * Sessions matching the History view filters, newest first
+     */
+    getHistorySessions() {
+        const { range } = this.getPeriodSelection('history');
+        let sessions = [...this.app.state.sessions];
+
+        // Keep sessions with any part inside the range
+        if (range) {
+            sessions = sessions.filter(s => this.app.state.getSessionSegments(s)
+                .some(segment => segment.date >= range.from && segment.date <= range.to));
+        }
+
+        const subjectIds = this.app.state.historySubjectIds;
+        if (subjectIds.length > 0) {
+            sessions = sessions.filter(s => subjectIds.includes(s.subjectId));
+        }
+
+        const tag = document.getElementById('history-tag').value;
+        if (tag) {
+            sessions = sessions.filter(s => (s.tags || []).includes(tag));
+        }
+
+        // Duration bounds are in minutes; an empty field means no bound
+        const minMinutes = parseFloat(document.getElementById('history-min-duration').value);
+        const maxMinutes = parseFloat(document.getElementById('history-max-duration').value);
+        if (!isNaN(minMinutes)) {
+            sessions = sessions.filter(s => s.duration >= minMinutes * 60);
+        }
+        if (!isNaN(maxMinutes)) {
+            sessions = sessions.filter(s => s.duration <= maxMinutes * 60);
+        }
+
+        const query = document.getElementById('history-search').value.trim();
+        if (query) {
+            sessions = sessions.filter(s => this.app.state.sessionMatchesSearch(s, query));
+        }
+
+        // Sort by start time (newest first)
+        return sessions.sort((a, b) => b.startedAt - a.startedAt);
+    }
+
+    clearHistoryFilters() {
+        document.getElementById('history-search').value = '';
+        document.getElementById('history-tag').value = '';
+        document.getElementById('history-min-duration').value = '';
+        document.getElementById('history-max-duration').value = '';
+        this.app.state.historySubjectIds = [];
+        this.renderHistory();
+    }
+
+    renderHistoryFilters() {
+        const state = this.app.state;
+
+        const tagSelect = document.getElementById('history-tag');
+        const tags = state.getAllTags();
+        const selectedTag = tags.includes(tagSelect.value) ? tagSelect.value : '';
+        tagSelect.innerHTML = '<option value="">All Tags</option>' +
+            tags.map(tag => `<option value="${this.escapeHtml(tag)}">${this.escapeHtml(tag)}</option>`).join('');
+        tagSelect.value = selectedTag;
+
+        // Forget deleted subjects
+        state.historySubjectIds = state.historySubjectIds.filter(id => state.getSubject(id));
+        const selected = state.historySubjectIds;
+        document.getElementById('history-subjects').innerHTML = state.subjects.map(subject => `
+            <label class="subject-filter-option">
+                <input type="checkbox" value="${subject.id}" ${selected.includes(subject.id) ? 'checked' : ''}>
+                <span class="subject-color-dot" style="background-color: ${subject.color}"></span>
+                ${this.escapeHtml(subject.name)}
+            </label>
+        `).join('');
+        document.getElementById('history-subject-summary').textContent =
+            selected.length === 0 ? 'All Subjects' :
+            selected.length === 1 ? state.getSubject(selected[0]).name :
+            `${selected.length} Subjects`;
+    }
+
+    renderHistory(keepLoaded = false) {
+        const loaded = keepLoaded ? this.historyRendered : 0;
+        this.renderHistoryFilters();
+
+        const sessions = this.getHistorySessions();
+        const container = document.getElementById('history-list');
+
+        const { range, previousRange } = this.getPeriodSelection('history');
+        const comparison = document.getElementById('history-comparison');
+        comparison.classList.toggle('hidden', !previousRange);
+        comparison.innerHTML = previousRange ? this.renderComparison(range, previousRange) : '';
+        document.getElementById('history-compare-label').classList.toggle('disabled', !range);
+
+        const totalTime = sessions.reduce((sum, s) => sum + s.duration, 0);
+        document.getElementById('history-summary').textContent = sessions.length > 0 ?
+            `${sessions.length} session${sessions.length === 1 ? '' : 's'} • ${this.formatTime(totalTime)}` :
+            '';
+
+        // Daily subtotals cover every matching session, not just the rendered ones
+        this.historySessions = sessions;
+        this.historyRendered = 0;
+        this.historyDayTotals = {};
+        sessions.forEach(session => {
+            const day = this.historyDayTotals[session.date] || { count: 0, duration: 0 };
+            day.count++;
+            day.duration += session.duration;
+            this.historyDayTotals[session.date] = day;
+        });
+
+        if (sessions.length === 0) {
+            container.innerHTML = `
+                <div class="empty-state">
+                    <div class="empty-state-icon">📜</div>
+                    <div class="empty-state-text">No study sessions found</div>
+                </div>
+            `;
+            document.getElementById('history-more').classList.add('hidden');
+            return;
+        }
+
+        container.innerHTML = '';
+        this.renderMoreHistory(Math.max(loaded, this.historyPageSize));
+    }
+
+    /**
+     * Append the next page of History sessions, grouped by day. Further pages
+     * load when the "Show more" row scrolls into view.
+     */
+    renderMoreHistory(count = this.historyPageSize) {
+        const container = document.getElementById('history-list');
+        const sessions = this.historySessions;
+        const end = Math.min(this.historyRendered + count, sessions.length);
+
+        for (let i = this.historyRendered; i < end; i++) {
+            const session = sessions[i];
+            let group = container.lastElementChild;
+            if (!group || group.dataset.date !== session.date) {
+                container.insertAdjacentHTML('beforeend', this.renderHistoryDayGroup(session.date));
+                group = container.lastElementChild;
+            }
+            group.querySelector('.history-day-sessions').insertAdjacentHTML('beforeend', this.renderHistoryItem(session));
+        }
+        this.historyRendered = end;
+
+        const more = document.getElementById('history-more');
+        more.classList.toggle('hidden', end >= sessions.length);
+        document.getElementById('history-show-more').textContent = `Show More (${sessions.length - end} left)`;
+
+        if ('IntersectionObserver' in window && !this.historyObserver) {
+            this.historyObserver = new IntersectionObserver(entries => {
+                if (entries.some(entry => entry.isIntersecting) &&
+                    this.historyRendered < this.historySessions.length) {
+                    this.renderMoreHistory();
+                }
+            }, { rootMargin: '400px' });
+            this.historyObserver.observe(more);
+        }
+    }
+
+    renderHistoryDayGroup(date) {
+        const day = this.historyDayTotals[date];
+        const dateStr = this.app.state.formatDisplayDate(date, {
+            weekday: 'long',
+            year: 'numeric',
+            month: 'long',
+            day: 'numeric'
+        });
+
+        return `
+            <div class="history-day" data-date="${date}">
+                <div class="history-day-header">
+                    <span>${dateStr}</span>
+                    <span class="history-day-total">
+                        ${day.count} session${day.count === 1 ? '' : 's'} • ${this.formatTime(day.duration)}
+                    </span>
+                </div>
+                <div class="history-day-sessions"></div>
+            </div>
+        `;
+    }
+
+    renderHistoryItem(session) {
+        const subject = this.app.state.getSubject(session.subjectId);
+
+        return `
+            <div class="history-item">
+                <div class="history-item-info">
+                    <div class="history-item-subject">
+                        <div class="subject-color-dot" style="background-color: ${subject.color}"></div>
+                        ${this.escapeHtml(subject.name)}
+                    </div>
+                    <div class="history-item-details">
+                        ${this.formatSessionRange(session)} • ${this.formatTime(session.duration)}
+                    </div>
+                    ${this.renderSessionDetails(session)}
+                </div>
+                <div class="history-item-actions">
+                    <button class="btn-task" onclick="app.ui.openSessionModal('${session.id}')">✏️</button>
+                    <button class="btn-task" onclick="app.ui.deleteSession('${session.id}')">🗑️</button>
+                </div>
+            </div>
+        `;
+    }
+
+    /**
+     * Focus rating, tags and notes of a session, if any
+     */
+    renderSessionDetails(session) {
+        const tags = session.tags || [];
+        if (!session.focus && tags.length === 0 && !session.notes) return '';
+
+        return `
+            <div class="session-details">
+                ${session.focus ? `<span class="focus-stars" title="Focus ${session.focus}/5">${this.formatFocus(session.focus)}</span>` : ''}
+                ${tags.map(tag => `<span class="task-chip tag-chip">${this.escapeHtml(tag)}</span>`).join('')}
+                ${session.notes ? `<div class="session-notes">${this.escapeHtml(session.notes)}</div>` : ''}
+            </div>
+        `;
     }
 
-    renderDayDetails(dateString) {
-        const sessions = this.app.state.getSessionsForDate(dateString);
-        const container = document.getElementById('day-details');
+    formatFocus(focus) {
+        const rounded = Math.round(focus);
+        return '★'.repeat(rounded) + '☆'.repeat(5 - rounded);
+    }
 
+    exportHistoryCsv() {
+        const sessions = this.getHistorySessions().reverse();
         if (sessions.length === 0) {
-            container.innerHTML = `
-                <h3>${new Date(dateString).toLocaleDateString('en-US', { 
-                    weekday: 'long', 
-                    year: 'numeric', 
-                    month: 'long', 
-                    day: 'numeric' 
-                })}</h3>
-                <div class="empty-state-text">No study sessions on this day</div>
-            `;
+            alert('No sessions to export for this filter');
             return;
         }
 
-        container.innerHTML = `
-            <h3>${new Date(dateString).toLocaleDateString('en-US', { 
-                weekday: 'long', 
-                year: 'numeric', 
-                month: 'long', 
-                day: 'numeric' 
-            })}</h3>
-            ${sessions.map(session => {
-                const subject = this.app.state.getSubject(session.subjectId);
-                return `
-                    <div class="day-session">
-                        <div class="day-session-info">
-                            <div class="day-session-subject" style="color: ${subject.color}">
-                                ${this.escapeHtml(subject.name)}
-                            </div>
-                            <div class="day-session-time">
-                                ${session.startTime} - ${session.endTime} (${this.formatTime(session.duration)})
-                            </div>
-                        </div>
-                        <div class="day-session-actions">
-                            <button class="btn-task" onclick="app.ui.openSessionModal('${session.id}')">✏️</button>
-                            <button class="btn-task" onclick="app.ui.deleteSession('${session.id}')">🗑️</button>
-                        </div>
-                    </div>
-                `;
-            }).join('')}
-        `;
+        const state = this.app.state;
+        const formatDateTime = (timestamp) => `${state.formatDate(new Date(timestamp))} ${state.formatClock(timestamp)}`;
+
+        const rows = [['date', 'subject', 'subject_color', 'start', 'end', 'duration_minutes']];
+        sessions.forEach(session => {
+            const subject = state.getSubject(session.subjectId);
+            rows.push([
+                session.date,
+                subject ? subject.name : '',
+                subject ? subject.color : '',
+                formatDateTime(session.startedAt),
+                formatDateTime(session.endedAt),
+                Math.round(session.duration / 60)
+            ]);
+        });
+
+        const { period, range } = this.getPeriodSelection('history');
+        const fileName = range ?
+            `studyflow-sessions-${range.from}_${range.to}.csv` :
+            `studyflow-sessions-${period}-${state.getTodayString()}.csv`;
+        // BOM so spreadsheet apps read non-ASCII subject names as UTF-8
+        this.downloadFile(fileName, '\ufeff' + this.toCsv(rows), 'text/csv;charset=utf-8');
     }
 
-    changeMonth(delta) {
-        const date = this.app.state.calendarDate;
-        date.setMonth(date.getMonth() + delta);
-        this.renderCalendar();
+    /**
+     * Period pickers shared by History and Stats: a preset or custom range,
+     * optionally compared with the previous period
+     */
+    initializePeriodControls(view, render) {
+        const periodSelect = document.getElementById(`${view}-period`);
+
+        periodSelect.addEventListener('change', () => {
+            const custom = periodSelect.value === 'custom';
+            document.getElementById(`${view}-custom-range`).classList.toggle('hidden', !custom);
+
+            // Start a custom range from the last 7 days
+            if (custom && !document.getElementById(`${view}-from`).value) {
+                const range = this.app.state.getPeriodRange('last7');
+                document.getElementById(`${view}-from`).value = range.from;
+                document.getElementById(`${view}-to`).value = range.to;
+            }
+            render();
+        });
+
+        [`${view}-from`, `${view}-to`, `${view}-compare`].forEach(id => {
+            document.getElementById(id).addEventListener('change', render);
+        });
     }
 
-    renderHistory() {
-        const filter = document.getElementById('history-filter').value;
-        let sessions = [...this.app.state.sessions];
+    getPeriodSelection(view) {
+        const period = document.getElementById(`${view}-period`).value;
+        const range = this.app.state.getPeriodRange(period, {
+            from: document.getElementById(`${view}-from`).value,
+            to: document.getElementById(`${view}-to`).value
+        });
+        const compare = document.getElementById(`${view}-compare`).checked;
+
+        return {
+            period,
+            range,
+            previousRange: compare ? this.app.state.getPreviousRange(period, range) : null
+        };
+    }
 
-        const now = new Date();
-        const todayString = this.app.state.formatDate(now);
+    formatRange(range) {
+        return range.from === range.to ? range.from : `${range.from} – ${range.to}`;
+    }
 
-        // Filter sessions
-        switch (filter) {
-            case 'today':
-                sessions = sessions.filter(s => s.date === todayString);
-                break;
-            case 'week':
-                const weekAgo = new Date(now);
-                weekAgo.setDate(weekAgo.getDate() - 7);
-                sessions = sessions.filter(s => new Date(s.date) >= weekAgo);
-                break;
-            case 'month':
-                const monthAgo = new Date(now);
-                monthAgo.setMonth(monthAgo.getMonth() - 1);
-                sessions = sessions.filter(s => new Date(s.date) >= monthAgo);
-                break;
+    /**
+     * Change in study time against the previous period
+     */
+    renderDelta(current, previous) {
+        if (previous === 0) {
+            return current > 0 ? '<span class="delta up">new</span>' : '<span class="delta">—</span>';
         }
 
-        // Sort by date and time (newest first)
-        sessions.sort((a, b) => {
-            const dateCompare = b.date.localeCompare(a.date);
-            if (dateCompare !== 0) return dateCompare;
-            return b.startTime.localeCompare(a.startTime);
-        });
+        const diff = current - previous;
+        const percent = Math.round((diff / previous) * 100);
+        const direction = diff > 0 ? 'up' : diff < 0 ? 'down' : '';
+        const arrow = diff > 0 ? '▲' : diff < 0 ? '▼' : '';
+        return `<span class="delta ${direction}">${arrow} ${this.formatTime(Math.abs(diff))} (${percent > 0 ? '+' : ''}${percent}%)</span>`;
+    }
 
-        const container = document.getElementById('history-list');
+    /**
+     * Per-subject comparison of two ranges
+     */
+    renderComparison(range, previousRange) {
+        const state = this.app.state;
+        const current = state.getSubjectTotals(state.getSegmentsInRange(range));
+        const previous = state.getSubjectTotals(state.getSegmentsInRange(previousRange));
+        const sum = (totals) => Object.values(totals).reduce((a, b) => a + b, 0);
+
+        const subjectIds = [...new Set([...Object.keys(current), ...Object.keys(previous)])]
+            .sort((a, b) => (current[b] || 0) - (current[a] || 0));
+
+        return `
+            <div class="comparison-header">
+                ${this.formatRange(range)} vs ${this.formatRange(previousRange)}
+            </div>
+            <table class="comparison-table">
+                <thead>
+                    <tr><th>Subject</th><th>This period</th><th>Previous</th><th>Change</th></tr>
+                </thead>
+                <tbody>
+                    ${subjectIds.map(subjectId => {
+                        const subject = state.getSubject(subjectId);
+                        return `
+                            <tr>
+                                <td>
+                                    <span class="subject-color-dot" style="background-color: ${subject ? subject.color : 'var(--text-tertiary)'}"></span>
+                                    ${subject ? this.escapeHtml(subject.name) : 'Deleted subject'}
+                                </td>
+                                <td>${this.formatTime(current[subjectId] || 0)}</td>
+                                <td>${this.formatTime(previous[subjectId] || 0)}</td>
+                                <td>${this.renderDelta(current[subjectId] || 0, previous[subjectId] || 0)}</td>
+                            </tr>
+                        `;
+                    }).join('')}
+                    <tr class="comparison-total">
+                        <td>Total</td>
+                        <td>${this.formatTime(sum(current))}</td>
+                        <td>${this.formatTime(sum(previous))}</td>
+                        <td>${this.renderDelta(sum(current), sum(previous))}</td>
+                    </tr>
+                </tbody>
+            </table>
+        `;
+    }
 
-        if (sessions.length === 0) {
-            container.innerHTML = `
-                <div class="empty-state">
-                    <div class="empty-state-icon">📜</div>
-                    <div class="empty-state-text">No study sessions found</div>
-                </div>
-            `;
+    /**
+     * CSV session import
+     */
+    async onCsvFileSelected(e) {
+        const file = e.target.files[0];
+        e.target.value = '';
+        if (!file) return;
+
+        const rows = this.csvImporter.parse(await file.text());
+        if (rows.length < 2) {
+            alert('The CSV file needs a header row and at least one session');
             return;
         }
 
-        container.innerHTML = sessions.map(session => {
-            const subject = this.app.state.getSubject(session.subjectId);
-            const date = new Date(session.date);
-            const dateStr = date.toLocaleDateString('en-US', { 
-                weekday: 'short', 
-                month: 'short', 
-                day: 'numeric' 
-            });
+        const [headers, ...dataRows] = rows;
+        this.app.state.pendingCsvImport = { headers, rows: dataRows, entries: [] };
+        document.getElementById('csv-file-name').textContent = `${file.name} • ${dataRows.length} row(s)`;
 
-            return `
-                <div class="history-item">
-                    <div class="history-item-info">
-                        <div class="history-item-subject">
-                            <div class="subject-color-dot" style="background-color: ${subject.color}"></div>
-                            ${this.escapeHtml(subject.name)}
-                        </div>
-                        <div class="history-item-details">
-                            ${dateStr} • ${session.startTime} - ${session.endTime} • ${this.formatTime(session.duration)}
-                        </div>
-                    </div>
-                    <div class="history-item-actions">
-                        <button class="btn-task" onclick="app.ui.openSessionModal('${session.id}')">✏️</button>
-                        <button class="btn-task" onclick="app.ui.deleteSession('${session.id}')">🗑️</button>
-                    </div>
-                </div>
-            `;
-        }).join('');
+        const mapping = this.csvImporter.detectMapping(headers);
+        const options = headers.map((h, i) => `<option value="${i}">${this.escapeHtml(h || `Column ${i + 1}`)}</option>`).join('');
+        document.querySelectorAll('.csv-column-select').forEach(select => {
+            select.innerHTML = '<option value="-1">(none)</option>' + options;
+            select.value = mapping[select.dataset.field];
+        });
+
+        this.renderCsvPreview();
+        this.openModal('csv-modal');
     }
 
-    renderStats() {
-        const period = this.app.state.statsPeriod;
-        const now = new Date();
-        let sessions = [...this.app.state.sessions];
+    renderCsvPreview() {
+        const pending = this.app.state.pendingCsvImport;
+        if (!pending) return;
 
-        // Filter by period
-        switch (period) {
-            case 'week':
-                const weekAgo = new Date(now);
-                weekAgo.setDate(weekAgo.getDate() - 7);
-                sessions = sessions.filter(s => new Date(s.date) >= weekAgo);
-                break;
-            case 'month':
-                const monthAgo = new Date(now);
-                monthAgo.setMonth(monthAgo.getMonth() - 1);
-                sessions = sessions.filter(s => new Date(s.date) >= monthAgo);
-                break;
-        }
+        const mapping = {};
+        document.querySelectorAll('.csv-column-select').forEach(select => {
+            mapping[select.dataset.field] = parseInt(select.value, 10);
+        });
+
+        pending.entries = this.csvImporter.buildSessions(pending.rows, mapping, {
+            dateFormat: document.getElementById('csv-date-format').value,
+            durationUnit: document.getElementById('csv-duration-unit').value
+        });
+
+        const counts = { new: 0, duplicate: 0, error: 0 };
+        pending.entries.forEach(entry => counts[entry.status]++);
+        const newSubjects = new Set(pending.entries
+            .filter(e => e.status === 'new' && e.isNewSubject)
+            .map(e => e.subject.id));
+
+        document.getElementById('csv-summary').innerHTML = `
+            <span class="csv-count new">${counts.new} new</span>
+            <span class="csv-count duplicate">${counts.duplicate} duplicate(s) skipped</span>
+            <span class="csv-count error">${counts.error} error(s)</span>
+            <span class="csv-count">${newSubjects.size} new subject(s)</span>
+        `;
+        document.getElementById('confirm-csv-import').disabled = counts.new === 0;
+
+        const previewLimit = 100;
+        document.getElementById('csv-preview').innerHTML = `
+            <table class="csv-table">
+                <thead>
+                    <tr><th>Subject</th><th>Date</th><th>Time</th><th>Duration</th><th>Status</th></tr>
+                </thead>
+                <tbody>
+                    ${pending.entries.slice(0, previewLimit).map(entry => `
+                        <tr class="csv-row-${entry.status}">
+                            <td>${this.escapeHtml(entry.subjectName || '—')}${entry.isNewSubject ? ' <span class="csv-badge">new</span>' : ''}</td>
+                            <td>${entry.session ? entry.session.date : '—'}</td>
+                            <td>${entry.session ? this.formatSessionRange(entry.session) : '—'}</td>
+                            <td>${entry.session ? this.formatTime(entry.session.duration) : '—'}</td>
+                            <td>${entry.status === 'error' ? this.escapeHtml(entry.reason) : entry.status}</td>
+                        </tr>
+                    `).join('')}
+                </tbody>
+            </table>
+            ${pending.entries.length > previewLimit ?
+                `<div class="form-hint">Showing the first ${previewLimit} of ${pending.entries.length} rows</div>` :
+                ''}
+        `;
+    }
+
+    async confirmCsvImport() {
+        const pending = this.app.state.pendingCsvImport;
+        if (!pending) return;
+
+        const entries = pending.entries.filter(e => e.status === 'new');
+        const newSubjects = new Map();
+        entries.filter(e => e.isNewSubject).forEach(e => newSubjects.set(e.subject.id, e.subject));
+
+        // New subjects and their sessions are written together or not at all, and undone as one step
+        await this.commitChanges(`Imported ${entries.length} session(s)`, [
+            ...[...newSubjects.values()].map(subject => ({ store: 'subjects', before: null, after: subject })),
+            ...entries.map(entry => ({ store: 'sessions', before: null, after: entry.session }))
+        ]);
+
+        this.app.state.pendingCsvImport = null;
+        this.closeModal('csv-modal');
+        alert(`Imported ${entries.length} session(s) and ${newSubjects.size} new subject(s)`);
+    }
+
+    renderStats() {
+        const { range, previousRange } = this.getPeriodSelection('stats');
+        // Overnight sessions are split so each day gets its own share
+        const segments = this.app.state.getSegmentsInRange(range);
 
         // Total study time
-        const totalTime = sessions.reduce((sum, s) => sum + s.duration, 0);
+        const totalTime = segments.reduce((sum, s) => sum + s.duration, 0);
         document.getElementById('total-study-time').textContent = this.formatTime(totalTime);
+        document.getElementById('total-study-range').textContent = range ? this.formatRange(range) : 'All time';
+
+        // Comparison with the previous period
+        const previousTime = previousRange ?
+            this.app.state.getSegmentsInRange(previousRange).reduce((sum, s) => sum + s.duration, 0) :
+            0;
+        document.getElementById('total-study-delta').innerHTML = previousRange ?
+            `${this.renderDelta(totalTime, previousTime)} vs previous period` :
+            '';
+        document.getElementById('stats-comparison-card').classList.toggle('hidden', !previousRange);
+        document.getElementById('stats-comparison').innerHTML = previousRange ?
+            this.renderComparison(range, previousRange) :
+            '';
+        document.getElementById('stats-compare-label').classList.toggle('disabled', !range);
 
         // Subject breakdown
         const subjectTimes = {};
-        sessions.forEach(session => {
-            if (!subjectTimes[session.subjectId]) {
-                subjectTimes[session.subjectId] = 0;
+        segments.forEach(segment => {
+            if (!subjectTimes[segment.subjectId]) {
+                subjectTimes[segment.subjectId] = 0;
             }
-            subjectTimes[session.subjectId] += session.duration;
+            subjectTimes[segment.subjectId] += segment.duration;
         });
 
         const breakdown = document.getElementById('subject-breakdown');
         const maxTime = Math.max(...Object.values(subjectTimes), 1);
+        const drillSubject = this.app.state.getSubject(this.app.state.statsSubjectId);
 
-        if (Object.keys(subjectTimes).length === 0) {
+        if (drillSubject) {
+            this.renderTopicBreakdown(drillSubject, segments);
+        } else if (Object.keys(subjectTimes).length === 0) {
             breakdown.innerHTML = '<div class="empty-state-text">No data for this period</div>';
         } else {
             breakdown.innerHTML = Object.entries(subjectTimes)
@@ -1205,7 +4876,8 @@ class UIManager {
                     const subject = this.app.state.getSubject(subjectId);
                     const percentage = (time / maxTime) * 100;
                     return `
-                        <div class="breakdown-item">
+                        <div class="breakdown-item clickable" title="Show topics"
+                             onclick="app.ui.drillStatsSubject('${subjectId}')">
                             <div class="breakdown-color" style="background-color: ${subject.color}"></div>
                             <div class="breakdown-name">${this.escapeHtml(subject.name)}</div>
                             <div class="breakdown-time">${this.formatTime(time)}</div>
@@ -1218,34 +4890,252 @@ class UIManager {
                 }).join('');
         }
 
+        // Time by tag
+        this.renderTagBreakdown(segments);
+
         // Daily chart
-        this.renderDailyChart(sessions, period);
+        this.renderDailyChart(segments, range);
+
+        // Time-of-day analysis for the selected period
+        this.renderStudyRhythm(segments);
+
+        // Yearly heatmap (independent of the period filter)
+        this.renderHeatmap();
+    }
+
+    /**
+     * Weekday x hour-of-day grid with the most productive windows
+     */
+    renderStudyRhythm(segments) {
+        const state = this.app.state;
+        const select = document.getElementById('rhythm-subject');
+        const selected = state.getSubject(select.value) ? select.value : '';
+        select.innerHTML = '<option value="">All subjects</option>' +
+            state.subjects.map(s => `<option value="${s.id}">${this.escapeHtml(s.name)}</option>`).join('');
+        select.value = selected;
+
+        const subject = state.getSubject(selected);
+        const grid = state.getHourlyGrid(selected ? segments.filter(s => s.subjectId === selected) : segments);
+        const maxMinutes = Math.max(...grid.flat(), 1);
+        const dayNames = ['Mon', 'Tue', 'Wed', 'Thu', 'Fri', 'Sat', 'Sun'];
+        const hourLabel = (hour) => `${String(hour % 24).padStart(2, '0')}:00`;
+
+        const container = document.getElementById('study-rhythm');
+        container.style.setProperty('--heat-color', subject ? subject.color : 'var(--primary)');
+
+        if (grid.flat().every(m => m === 0)) {
+            container.innerHTML = '<div class="empty-state-text">No data for this period</div>';
+            document.getElementById('productive-windows').innerHTML = '';
+            return;
+        }
+
+        container.innerHTML = `
+            <div class="rhythm-grid">
+                <div></div>
+                ${Array.from({ length: 24 }, (_, hour) =>
+                    `<div class="rhythm-hour">${hour % 3 === 0 ? hour : ''}</div>`).join('')}
+                <div class="rhythm-total-label">Total</div>
+                ${grid.map((row, day) => `
+                    <div class="rhythm-day">${dayNames[day]}</div>
+                    ${row.map((minutes, hour) => {
+                        const level = minutes === 0 ? 0 : Math.min(4, Math.ceil((minutes / maxMinutes) * 4));
+                        return `<div class="heat-cell level-${level}"
+                                     title="${dayNames[day]} ${hourLabel(hour)}–${hourLabel(hour + 1)}: ${this.formatTime(Math.round(minutes * 60))}"></div>`;
+                    }).join('')}
+                    <div class="rhythm-total">${this.formatTime(Math.round(row.reduce((sum, m) => sum + m, 0) * 60))}</div>
+                `).join('')}
+            </div>
+        `;
+
+        const totalMinutes = grid.flat().reduce((sum, m) => sum + m, 0);
+        const dayTotals = grid.map(row => row.reduce((sum, m) => sum + m, 0));
+        const bestDay = dayTotals.indexOf(Math.max(...dayTotals));
+        const windows = state.getProductiveWindows(grid);
+
+        document.getElementById('productive-windows').innerHTML = `
+            <h4>Most productive windows</h4>
+            <ol>
+                ${windows.map(w => `
+                    <li>
+                        <strong>${hourLabel(w.start)}–${hourLabel(w.end)}</strong>
+                        ${this.formatTime(Math.round(w.minutes * 60))}
+                        (${Math.round((w.minutes / totalMinutes) * 100)}% of study time)
+                    </li>
+                `).join('')}
+            </ol>
+            <p>Busiest weekday: <strong>${['Monday', 'Tuesday', 'Wednesday', 'Thursday', 'Friday', 'Saturday', 'Sunday'][bestDay]}</strong></p>
+        `;
+    }
+
+    /**
+     * Contribution-style heatmap of the last 12 months plus consistency metrics
+     */
+    renderHeatmap() {
+        const state = this.app.state;
+        const select = document.getElementById('heatmap-subject');
+        const selected = state.getSubject(select.value) ? select.value : '';
+        select.innerHTML = '<option value="">All subjects</option>' +
+            state.subjects.map(s => `<option value="${s.id}">${this.escapeHtml(s.name)}</option>`).join('');
+        select.value = selected;
+
+        const subject = state.getSubject(selected);
+        const totals = state.getDailyTotals(selected || null);
+        const today = state.getTodayString();
+        const firstDay = state.getWeekStartString(state.addDays(today, -364));
+        const maxTime = Math.max(...Object.values(totals), 1);
+        const monthNames = ['Jan', 'Feb', 'Mar', 'Apr', 'May', 'Jun', 'Jul', 'Aug', 'Sep', 'Oct', 'Nov', 'Dec'];
+
+        let cells = '';
+        let months = '';
+        let week = 0;
+        for (let date = firstDay; date <= today; date = state.addDays(date, 1)) {
+            const dayOfWeek = (state.getWeekday(date) + 6) % 7;
+            if (dayOfWeek === 0) week++;
+            if (date.endsWith('-01')) {
+                months += `<span style="grid-column: ${week}">${monthNames[Number(date.slice(5, 7)) - 1]}</span>`;
+            }
+
+            const seconds = totals[date] || 0;
+            const level = seconds === 0 ? 0 : Math.min(4, Math.ceil((seconds / maxTime) * 4));
+            cells += `<div class="heat-cell level-${level}" style="grid-row: ${dayOfWeek + 1}; grid-column: ${week}"
+                           title="${date}: ${this.formatTime(seconds)}"></div>`;
+        }
+
+        const heatmap = document.getElementById('heatmap');
+        heatmap.style.setProperty('--heat-color', subject ? subject.color : 'var(--primary)');
+        heatmap.innerHTML = `
+            <div class="heatmap-months" style="grid-template-columns: repeat(${week}, 12px)">${months}</div>
+            <div class="heatmap-grid" style="grid-template-columns: repeat(${week}, 12px)">${cells}</div>
+            <div class="heatmap-legend">
+                Less
+                ${[0, 1, 2, 3, 4].map(level => `<div class="heat-cell level-${level}"></div>`).join('')}
+                More
+            </div>
+        `;
+
+        const stats = state.getConsistencyStats(selected || null);
+        const metric = (label, value, detail = '') => `
+            <div class="heatmap-metric">
+                <div class="heatmap-metric-label">${label}</div>
+                <div class="heatmap-metric-value">${value}</div>
+                ${detail ? `<div class="heatmap-metric-detail">${detail}</div>` : ''}
+            </div>
+        `;
+        document.getElementById('consistency-stats').innerHTML = [
+            metric('Current streak', `${state.calculateStreak()} days`, 'All subjects'),
+            metric('Longest streak', `${stats.longestStreak} days`),
+            metric('Average per study day', this.formatTime(stats.averagePerStudyDay), `${stats.studyDays} study days`),
+            metric('Best day', stats.bestDay ? this.formatTime(stats.bestDay.seconds) : '—',
+                stats.bestDay ? stats.bestDay.date : ''),
+            metric('Best week', stats.bestWeek ? this.formatTime(stats.bestWeek.seconds) : '—',
+                stats.bestWeek ? `Week of ${stats.bestWeek.weekStart}` : '')
+        ].join('');
+    }
+
+    /**
+     * Subject breakdown drilled down into the subject's topics
+     */
+    renderTopicBreakdown(subject, segments) {
+        const topicTimes = {};
+        segments
+            .filter(s => s.subjectId === subject.id)
+            .forEach(segment => {
+                const topicId = segment.session.topicId || '';
+                topicTimes[topicId] = (topicTimes[topicId] || 0) + segment.duration;
+            });
+
+        const maxTime = Math.max(...Object.values(topicTimes), 1);
+        const rows = Object.entries(topicTimes)
+            .sort((a, b) => b[1] - a[1])
+            .map(([topicId, time]) => {
+                const topic = this.app.state.getTopic(topicId);
+                return `
+                    <div class="breakdown-item">
+                        <div class="breakdown-color" style="background-color: ${subject.color}"></div>
+                        <div class="breakdown-name">${topic ? this.escapeHtml(topic.name) : 'No topic'}</div>
+                        <div class="breakdown-time">${this.formatTime(time)}</div>
+                        <div class="breakdown-bar">
+                            <div class="breakdown-bar-fill" 
+                                 style="width: ${(time / maxTime) * 100}%; background-color: ${subject.color}"></div>
+                        </div>
+                    </div>
+                `;
+            }).join('');
+
+        document.getElementById('subject-breakdown').innerHTML = `
+            <button class="btn-small breakdown-back" onclick="app.ui.drillStatsSubject(null)">
+                ← All subjects
+            </button>
+            <div class="breakdown-heading">${this.escapeHtml(subject.name)} by topic</div>
+            ${rows || '<div class="empty-state-text">No data for this period</div>'}
+        `;
+    }
+
+    renderTagBreakdown(segments) {
+        const totals = this.app.state.getTagTotals(segments);
+        const container = document.getElementById('tag-breakdown');
+
+        if (totals.length === 0) {
+            container.innerHTML = '<div class="empty-state-text">No data for this period</div>';
+            return;
+        }
+
+        const maxTime = Math.max(...totals.map(t => t.duration), 1);
+        container.innerHTML = totals.map(({ tag, duration, averageFocus }) => `
+            <div class="breakdown-item">
+                <div class="breakdown-name">${tag ? this.escapeHtml(tag) : 'Untagged'}</div>
+                ${averageFocus ? `<span class="focus-stars" title="Average focus ${averageFocus.toFixed(1)}/5">${this.formatFocus(averageFocus)}</span>` : ''}
+                <div class="breakdown-time">${this.formatTime(duration)}</div>
+                <div class="breakdown-bar">
+                    <div class="breakdown-bar-fill" 
+                         style="width: ${(duration / maxTime) * 100}%; background-color: var(--primary)"></div>
+                </div>
+            </div>
+        `).join('');
+    }
+
+    drillStatsSubject(subjectId) {
+        this.app.state.statsSubjectId = subjectId;
+        this.renderStats();
     }
 
-    renderDailyChart(sessions, period) {
+    renderDailyChart(segments, range) {
+        const state = this.app.state;
         const chart = document.getElementById('daily-chart');
-        const days = period === 'week' ? 7 : period === 'month' ? 30 : 90;
-        
-        const dailyData = {};
-        const now = new Date();
 
-        // Initialize all days
-        for (let i = days - 1; i >= 0; i--) {
-            const date = new Date(now);
-            date.setDate(date.getDate() - i);
-            const dateString = this.app.state.formatDate(date);
-            dailyData[dateString] = 0;
+        // "All time" runs from the first study day to today
+        if (!range) {
+            const today = state.getTodayString();
+            const first = segments.reduce((min, s) => (s.date < min ? s.date : min), today);
+            range = { from: first, to: today };
         }
 
-        // Fill with session data
-        sessions.forEach(session => {
-            if (dailyData.hasOwnProperty(session.date)) {
-                dailyData[session.date] += session.duration;
+        // Long ranges are bucketed by week or month so the bars stay readable
+        const days = state.daysBetween(range.from, range.to) + 1;
+        const bucketSize = days <= 62 ? 'day' : days <= 62 * 7 ? 'week' : 'month';
+        const bucketOf = (date) => bucketSize === 'day' ? date :
+            bucketSize === 'week' ? state.getWeekStartString(date) :
+            `${date.slice(0, 7)}-01`;
+
+        document.getElementById('daily-chart-title').textContent =
+            { day: 'Daily', week: 'Weekly', month: 'Monthly' }[bucketSize] + ' Study Chart';
+
+        // Initialize every bucket in the range
+        const buckets = {};
+        for (let date = range.from; date <= range.to; date = state.addDays(date, 1)) {
+            buckets[bucketOf(date)] = 0;
+        }
+
+        // Fill with segment data
+        segments.forEach(segment => {
+            const bucket = bucketOf(segment.date);
+            if (buckets.hasOwnProperty(bucket)) {
+                buckets[bucket] += segment.duration;
             }
         });
 
-        const maxTime = Math.max(...Object.values(dailyData), 1);
-        const entries = Object.entries(dailyData);
+        const maxTime = Math.max(...Object.values(buckets), 1);
+        const entries = Object.entries(buckets);
 
         if (entries.length === 0) {
             chart.innerHTML = '<div class="empty-state-text">No data to display</div>';
@@ -1254,14 +5144,13 @@ class UIManager {
 
         chart.innerHTML = entries.map(([date, time]) => {
             const height = (time / maxTime) * 100;
-            const dateObj = new Date(date);
-            const label = dateObj.toLocaleDateString('en-US', { 
-                month: 'short', 
-                day: 'numeric' 
-            });
-            
+            const label = bucketSize === 'month' ?
+                state.formatDisplayDate(date, { month: 'short', year: '2-digit' }) :
+                state.formatDisplayDate(date, { month: 'short', day: 'numeric' });
+
             return `
-                <div class="chart-bar" style="height: ${height}%">
+                <div class="chart-bar" style="height: ${height}%"
+                     title="${bucketSize === 'week' ? `Week of ${date}` : date}: ${this.formatTime(time)}">
                     <div class="chart-bar-value">${this.formatTime(time)}</div>
                     <div class="chart-bar-label">${label}</div>
                 </div>
@@ -1285,11 +5174,142 @@ class UIManager {
         }
     }
 
+    formatSessionRange(session) {
+        const range = `${this.app.state.formatClock(session.startedAt)} - ${this.app.state.formatClock(session.endedAt)}`;
+        const endDate = this.app.state.getStudyDate(session.endedAt);
+        return endDate !== session.date ? `${range} (+1 day)` : range;
+    }
+
     escapeHtml(text) {
         const div = document.createElement('div');
         div.textContent = text;
         return div.innerHTML;
     }
+
+    toCsv(rows) {
+        return rows.map(row => row.map(value => {
+            const text = typeof value === 'string' ? this.csvImporter.escapeFormula(value) : String(value);
+            return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+        }).join(',')).join('\r\n');
+    }
+
+    downloadFile(fileName, content, mimeType) {
+        const blob = new Blob([content], { type: mimeType });
+        const url = URL.createObjectURL(blob);
+        const link = document.createElement('a');
+        link.href = url;
+        link.download = fileName;
+        document.body.appendChild(link);
+        link.click();
+        link.remove();
+        URL.revokeObjectURL(url);
+    }
+}
+
+// =============================================================================
+// CROSS-TAB SYNC
+// =============================================================================
+
+/**
+ * Shares saved changes and the timer with other open StudyFlow tabs over a
+ * BroadcastChannel. Browsers without one simply run each tab on its own.
+ */
+class TabSync {
+    constructor(app) {
+        this.app = app;
+        this.tabId = app.state.generateId();
+        this.channel = null;
+        this.pendingPings = new Map();  // tabId -> resolve of isTabAlive()
+        this.releaseLock = null;
+    }
+
+    lockName(tabId) {
+        return `studyflow-tab-${tabId}`;
+    }
+
+    /**
+     * Start listening (once the data is loaded and views are subscribed)
+     */
+    connect() {
+        if (typeof BroadcastChannel === 'undefined') return;
+
+        this.channel = new BroadcastChannel('studyflow');
+        this.channel.onmessage = (event) => this.receive(event.data);
+
+        // Held until the tab closes, even while a dialog keeps it from answering pings
+        if (navigator.locks) {
+            navigator.locks.request(this.lockName(this.tabId), () =>
+                new Promise(resolve => { this.releaseLock = resolve; }));
+        }
+    }
+
+    disconnect() {
+        if (this.channel) {
+            this.channel.close();
+            this.channel = null;
+        }
+        if (this.releaseLock) {
+            this.releaseLock();
+            this.releaseLock = null;
+        }
+    }
+
+    post(message) {
+        if (this.channel) {
+            this.channel.postMessage({ ...message, from: this.tabId });
+        }
+    }
+
+    receive(message) {
+        switch (message.type) {
+            case 'changes':
+                this.app.ui.applyRemoteChanges(message.changes, message.side);
+                break;
+            case 'reload':
+                this.app.loadData();
+                break;
+            case 'timer':
+                this.app.ui.showRemoteTimer(message.timer);
+                break;
+            case 'timer-closed':
+                this.app.ui.adoptTimer(message.from);
+                break;
+            case 'ping':
+                if (message.to === this.tabId) {
+                    this.post({ type: 'pong', to: message.from });
+                }
+                break;
+            case 'pong':
+                if (message.to === this.tabId && this.pendingPings.has(message.from)) {
+                    this.pendingPings.get(message.from)(true);
+                }
+                break;
+        }
+    }
+
+    /**
+     * Whether the tab with this id is still open: it holds its lock or,
+     * without Web Locks, answers a ping within the timeout
+     */
+    async isTabAlive(tabId, timeout = 500) {
+        if (!this.channel || !tabId) return false;
+
+        if (navigator.locks) {
+            const { held } = await navigator.locks.query();
+            return held.some(lock => lock.name === this.lockName(tabId));
+        }
+
+        return new Promise(resolve => {
+            const finish = (alive) => {
+                clearTimeout(timer);
+                this.pendingPings.delete(tabId);
+                resolve(alive);
+            };
+            const timer = setTimeout(() => finish(false), timeout);
+            this.pendingPings.set(tabId, finish);
+            this.post({ type: 'ping', to: tabId });
+        });
+    }
 }
 
 // =============================================================================
@@ -1300,22 +5320,40 @@ class StudyFlowApp {
     constructor() {
         this.dataStore = new DataStore();
         this.state = new AppState();
+        this.sync = new TabSync(this);
         this.ui = null;
     }
 
     async init() {
         try {
+            // Initialize UI first so a database upgrade can show its progress
+            this.ui = new UIManager(this);
+
             // Initialize database
-            await this.dataStore.init();
+            await this.dataStore.init(
+                progress => this.ui.showMigrationProgress(progress),
+                () => this.ui.showDatabaseClosed()
+            );
+            this.ui.hideMigrationProgress();
 
             // Load data
             await this.loadData();
+            await this.purgeTrash();
+            await this.checkIntegrity();
+            this.state.timerState.mode = this.state.timerConfig.mode;
 
-            // Initialize UI
-            this.ui = new UIManager(this);
-
-            // Render initial view
+            // Render initial view; from here on views follow state changes
             this.ui.switchView('dashboard');
+            this.state.subscribe(changed => this.ui.onStateChange(changed));
+
+            // Follow changes and the timer from other open tabs
+            this.sync.connect();
+
+            // Pick up a timer left running before the last reload
+            await this.ui.restoreTimer();
+
+            // Cache the app shell for offline startup
+            this.registerServiceWorker();
 
             console.log('StudyFlow initialized successfully!');
         } catch (error) {
@@ -1324,19 +5362,78 @@ class StudyFlowApp {
         }
     }
 
+    /**
+     * Permanently remove trash entries older than the retention period
+     */
+    async purgeTrash() {
+        const cutoff = Date.now() - this.state.trashRetentionDays * 24 * 60 * 60 * 1000;
+        const changes = this.state.trash
+            .filter(entry => entry.deletedAt < cutoff)
+            .map(entry => ({ store: 'trash', before: entry, after: null }));
+        await this.dataStore.applyChanges(changes);
+        this.state.applyChanges(changes);
+    }
+
+    /**
+     * Repair orphaned records (at startup and after a backup import) and tell
+     * the user what was fixed
+     */
+    async checkIntegrity() {
+        const { changes, report } = this.state.getIntegrityRepairs();
+        if (changes.length === 0) return;
+
+        await this.dataStore.applyChanges(changes);
+        this.state.applyChanges(changes);
+        alert(`StudyFlow repaired some inconsistent data:\n\n• ${report.join('\n• ')}`);
+    }
+
+    registerServiceWorker() {
+        if (!('serviceWorker' in navigator) || location.protocol === 'file:') return;
+
+        navigator.serviceWorker.register('sw.js').then(registration => {
+            // An update that finished installing while the app was closed
+            if (registration.waiting && navigator.serviceWorker.controller) {
+                this.ui.showUpdateBanner(registration.waiting);
+            }
+
+            registration.addEventListener('updatefound', () => {
+                const worker = registration.installing;
+                worker.addEventListener('statechange', () => {
+                    // Only an update when a previous version already controls the page
+                    if (worker.state === 'installed' && navigator.serviceWorker.controller) {
+                        this.ui.showUpdateBanner(worker);
+                    }
+                });
+            });
+        }).catch(error => {
+            console.error('Service worker registration failed:', error);
+        });
+
+        // Only an accepted update reloads; the first install also takes control (clients.claim)
+        navigator.serviceWorker.addEventListener('controllerchange', () => {
+            if (!this.ui.refreshing) return;
+            this.ui.refreshing = false;
+            location.reload();
+        });
+    }
+
+    /**
+     * Read every store into the state. Only needed at startup and after a
+     * backup import; other writes update the state incrementally.
+     */
     async loadData() {
         try {
-            // Load subjects
-            this.state.subjects = await this.dataStore.getAll('subjects');
-
-            // Load tasks
-            this.state.tasks = await this.dataStore.getAll('tasks');
+            const [subjects, topics, tasks, sessions, goals, trash] = await Promise.all(
+                ['subjects', 'topics', 'tasks', 'sessions', 'goals', 'trash'].map(name => this.dataStore.getAll(name))
+            );
 
-            // Load sessions
-            this.state.sessions = await this.dataStore.getAll('sessions');
+            // Settings kept on the state (overall daily target, day start hour, timer preferences)
+            const settings = await Promise.all(
+                ['dailyTarget', 'dayStart', 'timerConfig'].map(key => this.dataStore.get('settings', key))
+            );
 
-            // Load goal
-            this.state.goal = await this.dataStore.get('settings', 'goal');
+            this.state.reset({ subjects, topics, tasks, sessions, goals, trash, settings: settings.filter(Boolean) });
+            this.ui.hideUndoToast();
 
             console.log('Data loaded:', {
                 subjects: this.state.subjects.length,
@@ -0,0 +1,94 @@
+// =============================================================================
+// STUDYFLOW SERVICE WORKER
+// =============================================================================
+
+// Bump on every release: the changed worker installs the new app shell and
+// the page offers it through the "update available" banner
+const CACHE_VERSION = 'studyflow-v3';
+const FONT_CACHE = 'studyflow-fonts';
+
+const APP_SHELL = [
+    './',
+    'index.html',
+    'styles.css',
+    'script.js',
+    'manifest.webmanifest',
+    'icon.svg'
+];
+
+self.addEventListener('install', (event) => {
+    event.waitUntil(
+        // Bypass the HTTP cache so a stale copy is never precached
+        caches.open(CACHE_VERSION).then(cache =>
+            cache.addAll(APP_SHELL.map(url => new Request(url, { cache: 'reload' })))
+        )
+    );
+});
+
+self.addEventListener('activate', (event) => {
+    // Drop app shells from previous versions
+    event.waitUntil(
+        caches.keys().then(keys => Promise.all(
+            keys
+                .filter(key => key !== CACHE_VERSION && key !== FONT_CACHE)
+                .map(key => caches.delete(key))
+        )).then(() => self.clients.claim())
+    );
+});
+
+// The page asks the waiting worker to take over once the user accepts the update
+self.addEventListener('message', (event) => {
+    if (event.data && event.data.type === 'SKIP_WAITING') {
+        self.skipWaiting();
+    }
+});
+
+self.addEventListener('fetch', (event) => {
+    const request = event.request;
+    if (request.method !== 'GET') return;
+
+    const url = new URL(request.url);
+
+    // Google Fonts: serve cached copy, refresh in the background
+    if (url.hostname === 'fonts.googleapis.com' || url.hostname === 'fonts.gstatic.com') {
+        event.respondWith(
+            caches.open(FONT_CACHE).then(async cache => {
+                const cached = await cache.match(request);
+                const network = fetch(request)
+                    .then(response => {
+                        if (response.ok || response.type === 'opaque') {
+                            event.waitUntil(cache.put(request, response.clone()));
+                        }
+                        return response;
+                    })
+                    .catch(() => cached);
+                return cached || network;
+            })
+        );
+        return;
+    }
+
+    if (url.origin !== self.location.origin) return;
+
+    // App shell: cache first from this version's cache, so startup never waits
+    // on the network and a release only takes effect once its update is accepted
+    event.respondWith(
+        caches.open(CACHE_VERSION).then(async cache => {
+            const cached = await cache.match(request, { ignoreSearch: true });
+            if (cached) return cached;
+
+            try {
+                const response = await fetch(request);
+                if (response.ok && response.type === 'basic') {
+                    event.waitUntil(cache.put(request, response.clone()));
+                }
+                return response;
+            } catch (error) {
+                if (request.mode === 'navigate') {
+                    return (await cache.match('index.html')) || Response.error();
+                }
+                return Response.error();
+            }
+        })
+    );
+});